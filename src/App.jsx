@@ -1,205 +1,633 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import * as tf from '@tensorflow/tfjs';
+import * as d3 from 'd3';
 import { Paper, Typography, Box, Button, TextField, Slider } from '@mui/material';
 import { Line } from 'react-chartjs-2';
 import NeuralNetworkViz from './components/NeuralNetworkViz';
+import ArchitectureBuilder from './components/ArchitectureBuilder';
+import TrainingControls from './components/TrainingControls';
+import DatasetLoader from './components/DatasetLoader';
+import PredictionInputs from './components/PredictionInputs';
+import PreprocessingOptions from './components/PreprocessingOptions';
+import SplitOptions from './components/SplitOptions';
+import MetricsPanel from './components/MetricsPanel';
+import EvaluationDashboard from './components/EvaluationDashboard';
+import MulticlassEvaluation from './components/MulticlassEvaluation';
+import RegressionEvaluation from './components/RegressionEvaluation';
+import PredictionCard from './components/PredictionCard';
+import ModelManager from './components/ModelManager';
+import FeatureAttribution from './components/FeatureAttribution';
+import GlobalExplanations, { GlobalFindings } from './components/GlobalExplanations';
+import BatchPrediction from './components/BatchPrediction';
+import ExperimentHistory from './components/ExperimentHistory';
+import CounterfactualExplorer from './components/CounterfactualExplorer';
+import DataExplorer from './components/DataExplorer';
+import ImbalanceOptions from './components/ImbalanceOptions';
+import DiagnosticsPanel from './components/DiagnosticsPanel';
+import HyperparameterSearch from './components/HyperparameterSearch';
+import EmbeddingView from './components/EmbeddingView';
+import ContinuousLearning from './components/ContinuousLearning';
+import UncertaintyOptions from './components/UncertaintyOptions';
+import { extractDenseWeights } from './utils/networkWeights';
+import { DEFAULT_ARCHITECTURE, outputLayerFor } from './utils/modelBuilder';
+import { DEFAULT_TRAINING_CONFIG, EMPTY_METRICS } from './utils/training';
+import {
+  parseCsv,
+  defaultSelection,
+  defaultInputs,
+  getColumn,
+  formatColumnName,
+  targetTask
+} from './utils/schema';
+import { transformRow, getFeatureNames, DEFAULT_PREPROCESSING } from './utils/preprocessing';
+import { DEFAULT_SPLIT_CONFIG } from './utils/splits';
+import { computeTaskMetrics, predictedClasses } from './utils/metrics';
+import { createMetadata } from './utils/modelStorage';
+import { createExperiments, addExperiments } from './utils/experimentStore';
+import { downloadJson } from './utils/download';
+import { serializeModel, deserializeModel } from './utils/modelTransfer';
+import { createTrainingClient } from './utils/trainingClient';
+import { FROM_WORKER } from './workers/protocol';
+import { explainPrediction } from './utils/attribution';
+import { createInferenceSession, switchBackend } from './utils/inference';
+import { useDebouncedValue } from './utils/useDebouncedValue';
+import { DEFAULT_SEARCH_CONFIG, createTrials } from './utils/hyperparameterSearch';
+import { DEFAULT_FINE_TUNE_CONFIG } from './utils/fineTuning';
+import {
+  DEFAULT_UNCERTAINTY_CONFIG,
+  hasDropout,
+  mcDropoutSamples,
+  ensembleSamples,
+  summarizeSamples,
+  isContested,
+  createTrainingReference,
+  checkDistribution
+} from './utils/uncertainty';
 import {
   Chart as ChartJS,
   CategoryScale,
   LinearScale,
   PointElement,
   LineElement,
+  BarElement,
   Title,
   Tooltip,
   Legend
 } from 'chart.js';
-import Papa from 'papaparse';
 
 ChartJS.register(
   CategoryScale,
   LinearScale,
   PointElement,
   LineElement,
+  BarElement,
   Title,
   Tooltip,
   Legend
 );
 
+// Sliders only re-run the model once they have been still this long
+const INPUT_DEBOUNCE_MS = 120;
+const LATENCY_WINDOW = 20;
+
 function App() {
   const [model, setModel] = useState(null);
-  const [inputs, setInputs] = useState({
-    timeAlone: 5,
-    stageFear: 'No',
-    socialEvents: 5,
-    goingOutside: 5,
-    drainedAfterSocializing: 'No',
-    friendsCircle: 7,
-    postFrequency: 5
-  });
+  const [inputs, setInputs] = useState({});
+  // Model outputs for the current inputs: one value, or one per class
   const [prediction, setPrediction] = useState(null);
   const [trainingHistory, setTrainingHistory] = useState([]);
   const [layerActivations, setLayerActivations] = useState([]);
-  const [metrics, setMetrics] = useState({
-    accuracy: 0,
-    precision: 0,
-    recall: 0,
-    f1Score: 0,
-    validationLoss: 0
-  });
+  const [networkWeights, setNetworkWeights] = useState([]);
+  const [networkModel, setNetworkModel] = useState(null);
+  // Per-epoch weights and mean activations of the run, for playback
+  const [trainingSnapshots, setTrainingSnapshots] = useState([]);
+  // Raw train/validation rows of the finished run, for neuron inspection
+  const [splitSamples, setSplitSamples] = useState(null);
+  // How the current model was produced: data hash, split, config, runtime
+  const [runManifest, setRunManifest] = useState(null);
+  const [architecture, setArchitecture] = useState(DEFAULT_ARCHITECTURE);
+  const [data, setData] = useState(null);
+  const [selection, setSelection] = useState(null);
+  const [preprocessingConfig, setPreprocessingConfig] = useState(DEFAULT_PREPROCESSING);
+  // Feature columns, target and classes the current model was trained with
+  const [modelSchema, setModelSchema] = useState(null);
+  const [trainingConfig, setTrainingConfig] = useState(DEFAULT_TRAINING_CONFIG);
+  const [trainingStatus, setTrainingStatus] = useState('idle');
+  const [batchProgress, setBatchProgress] = useState(null);
+  const [trainingError, setTrainingError] = useState(null);
+  const [splitConfig, setSplitConfig] = useState(DEFAULT_SPLIT_CONFIG);
+  const [cvSummary, setCvSummary] = useState(null);
+  // Validation/test predictions of the active model and the decision threshold
+  const [evaluation, setEvaluation] = useState(null);
+  const [threshold, setThreshold] = useState(0.5);
+  const [attributionMethod, setAttributionMethod] = useState('integratedGradients');
+  const [attribution, setAttribution] = useState(null);
+  const [attributionError, setAttributionError] = useState(null);
+  // Inputs and probability from before a counterfactual was applied
+  const [whatIfBase, setWhatIfBase] = useState(null);
+  // Bumped after each run is recorded so the experiment table reloads
+  const [experimentsVersion, setExperimentsVersion] = useState(0);
+  const [recordError, setRecordError] = useState(null);
+  const lastJobRef = useRef(null);
+  const [backend, setBackend] = useState(() => tf.getBackend());
+  const [backendError, setBackendError] = useState(null);
+  // Durations of the most recent live predictions, in ms
+  const [latencies, setLatencies] = useState([]);
+  const [searchConfig, setSearchConfig] = useState(DEFAULT_SEARCH_CONFIG);
+  const [searchStatus, setSearchStatus] = useState('idle');
+  // [{ trial, result }] in the order the trials finished
+  const [searchResults, setSearchResults] = useState([]);
+  const [searchTotal, setSearchTotal] = useState(0);
+  const [fineTuneConfig, setFineTuneConfig] = useState(DEFAULT_FINE_TUNE_CONFIG);
+  const [fineTuneStatus, setFineTuneStatus] = useState('idle');
+  // Fine-tuning rounds applied to the current model, oldest first; each keeps
+  // the model and evaluation it replaced so it can be undone
+  const [fineTuneRounds, setFineTuneRounds] = useState([]);
+  const pendingRoundRef = useRef(null);
+  const [uncertaintyConfig, setUncertaintyConfig] = useState(DEFAULT_UNCERTAINTY_CONFIG);
+  // [{ model, preprocessor }] of the last finished ensemble run
+  const [ensembleMembers, setEnsembleMembers] = useState([]);
+  const [ensembleStatus, setEnsembleStatus] = useState('idle');
+  const [ensembleProgress, setEnsembleProgress] = useState({ done: 0, total: 0 });
+  // Members arrive one by one and are only shown once the run has finished
+  const incomingMembersRef = useRef([]);
+  const [uncertainty, setUncertainty] = useState(null);
+
+  const handleDataLoaded = (loaded) => {
+    setData(loaded);
+    setSelection(defaultSelection(loaded.schema));
+    setInputs(defaultInputs(loaded.schema));
+    setModel(null);
+    setModelSchema(null);
+    setPrediction(null);
+    setWhatIfBase(null);
+    setFineTuneRounds([]);
+    setEnsembleMembers([]);
+    setTrainingStatus('idle');
+  };
 
   useEffect(() => {
-    const loadAndPrepareData = async () => {
+    let cancelled = false;
+
+    const loadDefaultDataset = async () => {
       const response = await fetch('/personality_dataset.csv');
       const csvData = await response.text();
-      
-      const results = Papa.parse(csvData, {
-        header: true,
-        skipEmptyLines: true
-      });
+      if (!cancelled) {
+        handleDataLoaded(parseCsv('personality_dataset.csv', csvData));
+      }
+    };
 
-      const cleanData = results.data.filter(row => 
-        Object.values(row).every(val => val !== '' && val !== undefined)
-      );
-
-      const features = cleanData.map(row => [
-        parseFloat(row.Time_spent_Alone) / 11.0,
-        row.Stage_fear === 'Yes' ? 1 : 0,
-        parseFloat(row.Social_event_attendance) / 10.0,
-        parseFloat(row.Going_outside) / 7.0,
-        row.Drained_after_socializing === 'Yes' ? 1 : 0,
-        parseFloat(row.Friends_circle_size) / 15.0,
-        parseFloat(row.Post_frequency) / 10.0
-      ]);
-
-      const labels = cleanData.map(row => 
-        row.Personality === 'Introvert' ? 1 : 0
-      );
-
-      // Split data into training and validation sets
-      const splitIndex = Math.floor(features.length * 0.8);
-      const trainFeatures = features.slice(0, splitIndex);
-      const trainLabels = labels.slice(0, splitIndex);
-      const valFeatures = features.slice(splitIndex);
-      const valLabels = labels.slice(splitIndex);
-
-      const trainModel = async () => {
-        const model = tf.sequential();
-        
-        model.add(tf.layers.dense({
-          inputShape: [7],
-          units: 10,
-          activation: 'relu'
-        }));
-        
-        model.add(tf.layers.dense({
-          units: 5,
-          activation: 'relu'
-        }));
-        
-        model.add(tf.layers.dense({
-          units: 1,
-          activation: 'sigmoid'
-        }));
-
-        model.compile({
-          optimizer: tf.train.adam(0.001),
-          loss: 'binaryCrossentropy',
-          metrics: ['accuracy']
-        });
+    loadDefaultDataset();
+    return () => { cancelled = true; };
+  }, []);
 
-        const xs = tf.tensor2d(trainFeatures);
-        const ys = tf.tensor2d(trainLabels, [trainLabels.length, 1]);
-        const valXs = tf.tensor2d(valFeatures);
-        const valYs = tf.tensor2d(valLabels, [valLabels.length, 1]);
-
-        const history = await model.fit(xs, ys, {
-          epochs: 50,
-          validationData: [valXs, valYs],
-          callbacks: {
-            onEpochEnd: (epoch, logs) => {
-              setTrainingHistory(prev => [...prev, {
-                epoch,
-                loss: logs.loss,
-                accuracy: logs.acc,
-                valLoss: logs.val_loss,
-                valAccuracy: logs.val_acc
-              }]);
-            }
-          }
+  // Training runs in a worker; its progress messages drive the UI state
+  const handleWorkerMessage = async (message) => {
+    switch (message.type) {
+      case FROM_WORKER.PHASE:
+        setModelSchema(message.schema);
+        setTrainingHistory([]);
+        setBatchProgress(null);
+        setNetworkWeights(message.weights);
+        setTrainingSnapshots([message.snapshot]);
+        setNetworkModel(await deserializeModel(message.artifacts));
+        if (message.totalFolds > 1) {
+          setCvSummary(prev => ({ ...prev, currentFold: message.fold, totalFolds: message.totalFolds }));
+        }
+        break;
+      case FROM_WORKER.EPOCHS:
+        setTrainingHistory(prev => [...prev, ...message.entries]);
+        setTrainingSnapshots(prev => [...prev, ...message.snapshots]);
+        setNetworkWeights(message.weights);
+        break;
+      case FROM_WORKER.BATCH:
+        setBatchProgress(message);
+        break;
+      case FROM_WORKER.FOLD:
+        setCvSummary(message);
+        break;
+      case FROM_WORKER.DONE: {
+        const trained = await deserializeModel(message.artifacts);
+        setModelSchema(message.schema);
+        setEvaluation(message.evaluation);
+        setSplitSamples(message.samples);
+        setRunManifest(message.manifest);
+        setBatchProgress(null);
+        setNetworkModel(trained);
+        setModel(trained);
+        setTrainingStatus(message.stopped ? 'stopped' : message.stoppedEarly ? 'earlyStopped' : 'finished');
+        try {
+          await addExperiments(createExperiments({ job: lastJobRef.current, ...message }));
+          setExperimentsVersion(version => version + 1);
+          setRecordError(null);
+        } catch (err) {
+          setRecordError(`The last run could not be recorded in the experiment history: ${err.message}`);
+        }
+        break;
+      }
+      case FROM_WORKER.TRIAL:
+        setSearchResults(prev => [...prev, { trial: message.trial, result: message.result }]);
+        break;
+      case FROM_WORKER.SEARCH_DONE:
+        setSearchStatus('idle');
+        break;
+      case FROM_WORKER.MEMBER:
+        incomingMembersRef.current.push({
+          model: await deserializeModel(message.artifacts),
+          preprocessor: message.preprocessor
         });
-
-        // Calculate metrics on validation set
-        const predictions = model.predict(valXs);
-        const predArray = await predictions.array();
-        const thresholdedPreds = predArray.map(p => p[0] > 0.5 ? 1 : 0);
-        
-        let tp = 0, fp = 0, tn = 0, fn = 0;
-        thresholdedPreds.forEach((pred, i) => {
-          if (pred === 1 && valLabels[i] === 1) tp++;
-          if (pred === 1 && valLabels[i] === 0) fp++;
-          if (pred === 0 && valLabels[i] === 0) tn++;
-          if (pred === 0 && valLabels[i] === 1) fn++;
+        setEnsembleProgress({ done: message.index + 1, total: message.totalMembers });
+        break;
+      case FROM_WORKER.ENSEMBLE_DONE:
+        setEnsembleMembers(incomingMembersRef.current);
+        incomingMembersRef.current = [];
+        setEnsembleStatus('idle');
+        break;
+      case FROM_WORKER.FINE_TUNED: {
+        const tuned = await deserializeModel(message.artifacts);
+        const round = {
+          ...pendingRoundRef.current,
+          before: message.before,
+          after: message.evaluation,
+          trainingRows: message.trainingRows
+        };
+        setEvaluation(message.evaluation);
+        setNetworkWeights(await extractDenseWeights(tuned));
+        setNetworkModel(tuned);
+        setModel(tuned);
+        setFineTuneRounds(prev => [...prev, round]);
+        setRunManifest(prev => prev && {
+          ...prev,
+          fineTuning: [...(prev.fineTuning || []), {
+            examples: round.examples.length,
+            trainingRows: round.trainingRows,
+            ...round.config,
+            at: new Date().toISOString()
+          }]
         });
+        setFineTuneStatus('idle');
+        break;
+      }
+      case FROM_WORKER.ERROR:
+        setTrainingError(message.message);
+        setBatchProgress(null);
+        setTrainingStatus('idle');
+        setSearchStatus('idle');
+        setFineTuneStatus('idle');
+        if (incomingMembersRef.current.length > 0) {
+          incomingMembersRef.current.forEach(member => member.model.dispose());
+          incomingMembersRef.current = [];
+        }
+        setEnsembleStatus('idle');
+        break;
+      default:
+        break;
+    }
+  };
+
+  const workerHandlerRef = useRef(handleWorkerMessage);
+  workerHandlerRef.current = handleWorkerMessage;
+  const trainingClientRef = useRef(null);
+  if (!trainingClientRef.current) {
+    trainingClientRef.current = createTrainingClient(message => workerHandlerRef.current(message));
+  }
+  useEffect(() => () => trainingClientRef.current.cancel(), []);
+
+  // Overrides replace the architecture or training settings for this run,
+  // e.g. when a search trial is promoted before its state update has landed
+  const trainModel = (overrides = {}) => {
+    if (!data || selection.features.length === 0) return;
+
+    setTrainingStatus('training');
+    setTrainingError(null);
+    setEvaluation(null);
+    setSplitSamples(null);
+    setRunManifest(null);
+    setCvSummary(null);
+    setModel(null);
+    setPrediction(null);
+    setWhatIfBase(null);
+    setLayerActivations([]);
+    setFineTuneRounds([]);
+    setEnsembleMembers([]);
+
+    lastJobRef.current = {
+      data,
+      selection,
+      preprocessingConfig,
+      splitConfig,
+      architecture,
+      trainingConfig,
+      ...overrides
+    };
+    trainingClientRef.current.train(lastJobRef.current);
+  };
 
-        const accuracy = (tp + tn) / (tp + tn + fp + fn);
-        const precision = tp / (tp + fp);
-        const recall = tp / (tp + fn);
-        const f1Score = 2 * (precision * recall) / (precision + recall);
+  const startSearch = () => {
+    if (!data || selection.features.length === 0) return;
+    const trials = createTrials(searchConfig, trainingConfig);
+    if (trials.length === 0) return;
+
+    setTrainingError(null);
+    setSearchResults([]);
+    setSearchTotal(trials.length);
+    setSearchStatus('running');
+    trainingClientRef.current.search(
+      { data, selection, preprocessingConfig, splitConfig, trainingConfig },
+      trials
+    );
+  };
 
-        // Get the final validation loss from the history object
-        const finalValLoss = history.history.val_loss[history.history.val_loss.length - 1];
+  // The trial's settings become the current ones and are trained as usual,
+  // so the promoted model gets the full evaluation and an experiment record
+  const promoteTrial = ({ trial }) => {
+    const promotedConfig = { ...trial.trainingConfig, compareBaselines: trainingConfig.compareBaselines };
+    setArchitecture(trial.architecture);
+    setTrainingConfig(promotedConfig);
+    trainModel({ architecture: trial.architecture, trainingConfig: promotedConfig });
+  };
 
-        setMetrics({
-          accuracy,
-          precision,
-          recall,
-          f1Score,
-          validationLoss: finalValLoss
-        });
+  // The live model continues training in the worker on the pending examples;
+  // its current weights and evaluation are kept for undo
+  const startFineTune = async (examples) => {
+    pendingRoundRef.current = {
+      examples,
+      config: fineTuneConfig,
+      previous: { artifacts: await serializeModel(model), evaluation }
+    };
+    setTrainingError(null);
+    setFineTuneStatus('running');
+    trainingClientRef.current.fineTune({
+      artifacts: pendingRoundRef.current.previous.artifacts,
+      schema: modelSchema,
+      examples: examples.map(example => example.row),
+      samples: splitSamples,
+      trainingConfig,
+      fineTuneConfig
+    });
+  };
+
+  // Members repeat the job that trained the live model with the next seeds
+  const trainEnsemble = () => {
+    const job = lastJobRef.current;
+    if (!job || !splitSamples) return;
+    const seeds = Array.from({ length: uncertaintyConfig.members }, (_, i) => job.trainingConfig.seed + i + 1);
+    setTrainingError(null);
+    setEnsembleProgress({ done: 0, total: seeds.length });
+    setEnsembleStatus('training');
+    trainingClientRef.current.ensemble(job, seeds);
+  };
+
+  const undoFineTune = async () => {
+    const round = fineTuneRounds[fineTuneRounds.length - 1];
+    const restored = await deserializeModel(round.previous.artifacts);
+    setEvaluation(round.previous.evaluation);
+    setNetworkWeights(await extractDenseWeights(restored));
+    setNetworkModel(restored);
+    setModel(restored);
+    setFineTuneRounds(prev => prev.slice(0, -1));
+    setRunManifest(prev => prev && { ...prev, fineTuning: prev.fineTuning.slice(0, -1) });
+  };
+
+  const getModelMetadata = (name) => createMetadata({
+    name,
+    schema: modelSchema,
+    threshold,
+    trainingHistory,
+    evaluation,
+    architecture,
+    trainingConfig,
+    manifest: runManifest
+  });
+
+  // Reopens a saved run without retraining
+  const handleModelLoaded = async (loadedModel, metadata) => {
+    setModelSchema(metadata.schema);
+    setInputs(prev => ({ ...defaultInputs(metadata.schema.columns), ...prev }));
+    setThreshold(metadata.threshold ?? 0.5);
+    setTrainingHistory(metadata.trainingHistory || []);
+    setTrainingSnapshots([]);
+    setSplitSamples(null);
+    setWhatIfBase(null);
+    setRunManifest(metadata.manifest || null);
+    setEvaluation(metadata.evaluation || null);
+    setCvSummary(null);
+    setFineTuneRounds([]);
+    setEnsembleMembers([]);
+    if (metadata.architecture) setArchitecture(metadata.architecture);
+    if (metadata.trainingConfig) setTrainingConfig({ ...DEFAULT_TRAINING_CONFIG, ...metadata.trainingConfig });
+    setNetworkModel(loadedModel);
+    setNetworkWeights(await extractDenseWeights(loadedModel));
+    setLayerActivations([]);
+    setModel(loadedModel);
+    setTrainingStatus('finished');
+  };
+
+  const applyCounterfactual = (changes) => {
+    setWhatIfBase({ inputs, probability: prediction[0] });
+    setInputs(prev => ({ ...prev, ...changes }));
+  };
+
+  const undoCounterfactual = () => {
+    setInputs(whatIfBase.inputs);
+    setWhatIfBase(null);
+  };
+
+  const pauseTraining = () => {
+    trainingClientRef.current.pause();
+    setTrainingStatus('paused');
+  };
+
+  const resumeTraining = () => {
+    trainingClientRef.current.resume();
+    setTrainingStatus('training');
+  };
+
+  const stopTraining = () => {
+    trainingClientRef.current.stop();
+    setTrainingStatus('training');
+  };
+
+  const cancelTraining = () => {
+    trainingClientRef.current.cancel();
+    setBatchProgress(null);
+    setTrainingStatus('cancelled');
+  };
+
+  // Train once automatically when the default dataset has loaded
+  const autoTrainedRef = useRef(false);
+  useEffect(() => {
+    if (data && !autoTrainedRef.current) {
+      autoTrainedRef.current = true;
+      trainModel();
+    }
+  }, [data]);
+
+  // Every model owns its weight tensors; free the ones no longer shown
+  const liveModelsRef = useRef([]);
+  useEffect(() => {
+    const live = [model, networkModel].filter(Boolean);
+    liveModelsRef.current.filter(old => !live.includes(old)).forEach(old => old.dispose());
+    liveModelsRef.current = live;
+  }, [model, networkModel]);
+
+  // The previous ensemble's weights are freed once it has been replaced
+  useEffect(() => () => ensembleMembers.forEach(member => member.model.dispose()), [ensembleMembers]);
+
+  const inferenceSession = useMemo(() => (model ? createInferenceSession(model) : null), [model]);
+  const liveInputs = useDebouncedValue(inputs, INPUT_DEBOUNCE_MS);
+
+  useEffect(() => {
+    if (!inferenceSession || !modelSchema) return undefined;
+    let cancelled = false;
+    const normalizedInputs = transformRow(modelSchema.preprocessor, liveInputs);
+
+    inferenceSession.run(normalizedInputs).then(({ prediction: outputs, activations, latency }) => {
+      if (cancelled) return;
+      setPrediction(outputs);
+      setLayerActivations([normalizedInputs, ...activations]);
+      setLatencies(prev => [...prev, latency].slice(-LATENCY_WINDOW));
+    });
+    return () => { cancelled = true; };
+  }, [inferenceSession, modelSchema, liveInputs]);
+
+  const changeBackend = async (name) => {
+    try {
+      setBackendError(null);
+      setBackend(await switchBackend(name));
+      setLatencies([]);
+    } catch (err) {
+      setBackendError(err.message);
+      setBackend(tf.getBackend());
+    }
+  };
 
-        setModel(model);
-      };
+  // Models saved before multi-class and regression support are binary
+  const task = modelSchema?.task ?? 'binary';
+  // Multi-class predictions are explained for the class currently predicted
+  const explainedOutput = task === 'multiclass' && prediction ? predictedClasses([prediction])[0] : 0;
 
-      await trainModel();
+  useEffect(() => {
+    if (!model || !modelSchema) {
+      setAttribution(null);
+      setAttributionError(null);
+      return;
+    }
+    let cancelled = false;
+    // A retrain, load or undo replaces (and disposes) the model mid-call; the
+    // cleanup marks that call stale, so only real failures are reported
+    explainPrediction(model, modelSchema.preprocessor, liveInputs, attributionMethod, explainedOutput).then(result => {
+      if (cancelled) return;
+      setAttribution(result);
+      setAttributionError(null);
+    }).catch(err => {
+      if (cancelled) return;
+      setAttribution(null);
+      setAttributionError(`Could not explain the prediction: ${err.message}`);
+    });
+    return () => { cancelled = true; };
+  }, [model, modelSchema, liveInputs, attributionMethod, explainedOutput]);
+
+  const metrics = useMemo(() => {
+    if (!evaluation?.validation) return EMPTY_METRICS;
+    return {
+      ...computeTaskMetrics(evaluation.validation, task, threshold),
+      validationLoss: evaluation.validationLoss
     };
+  }, [evaluation, task, threshold]);
 
-    loadAndPrepareData();
-  }, []);
+  // Training rows of this session, for flagging inputs unlike any of them
+  const trainingReference = useMemo(
+    () => (modelSchema && splitSamples ? createTrainingReference(modelSchema.preprocessor, splitSamples.train) : null),
+    [modelSchema, splitSamples]
+  );
 
   useEffect(() => {
-    if (model) {
-      const normalizedInputs = [
-        inputs.timeAlone / 11.0,
-        inputs.stageFear === 'Yes' ? 1 : 0,
-        inputs.socialEvents / 10.0,
-        inputs.goingOutside / 7.0,
-        inputs.drainedAfterSocializing === 'Yes' ? 1 : 0,
-        inputs.friendsCircle / 15.0,
-        inputs.postFrequency / 10.0
-      ];
-
-      const inputTensor = tf.tensor2d([normalizedInputs]);
-      const prediction = model.predict(inputTensor);
-      const predictionValue = prediction.dataSync()[0];
-      setPrediction(predictionValue);
-
-      const getActivations = async () => {
-        const intermediateModel = tf.model({
-          inputs: model.input,
-          outputs: model.layers.map(layer => layer.output)
-        });
-        
-        const activations = await intermediateModel.predict(inputTensor);
-        const activationValues = Array.isArray(activations) 
-          ? activations.map(t => t.dataSync())
-          : [activations.dataSync()];
-        
-        setLayerActivations([normalizedInputs, ...activationValues]);
-      };
-      
-      getActivations();
+    const { mode, passes, level } = uncertaintyConfig;
+    if (!model || !modelSchema || mode === 'off') {
+      setUncertainty(null);
+      return undefined;
     }
-  }, [model, inputs]);
+    let cancelled = false;
+
+    const estimate = async () => {
+      const encoded = transformRow(modelSchema.preprocessor, liveInputs);
+      let samples = null;
+      if (mode === 'mcDropout' && hasDropout(model)) samples = await mcDropoutSamples(model, encoded, passes);
+      if (mode === 'ensemble' && ensembleMembers.length > 1) samples = await ensembleSamples(ensembleMembers, liveInputs);
+      if (cancelled) return;
+      if (!samples) {
+        setUncertainty(null);
+        return;
+      }
+      const summary = summarizeSamples(samples, task, threshold, level);
+      // Regression spread is judged against how much the target itself varies
+      const targetScale = task === 'regression' && evaluation?.validation ? d3.deviation(evaluation.validation.labels) : undefined;
+      setUncertainty({
+        method: mode,
+        count: samples.length,
+        summary,
+        contested: isContested(summary, task, targetScale),
+        distribution: trainingReference && checkDistribution(trainingReference, encoded)
+      });
+    };
+
+    estimate();
+    return () => { cancelled = true; };
+  }, [model, modelSchema, liveInputs, uncertaintyConfig, ensembleMembers, trainingReference, threshold, task, evaluation]);
+
+  // The worker runs one job at a time (jobs share the stop flag and the seeded
+  // Math.random), and a fine-tune replaces the model when it finishes: while a
+  // fine-tune or ensemble run is going, nothing may start another job or swap
+  // the data or model
+  const backgroundJobRunning = fineTuneStatus === 'running' || ensembleStatus === 'training';
+
+  const testMetrics = useMemo(() => {
+    if (!evaluation?.test) return null;
+    return computeTaskMetrics(evaluation.test, task, threshold);
+  }, [evaluation, task, threshold]);
+
+  // Kind of target the current selection would train, before a model exists
+  const selectionTask = data && selection ? targetTask(getColumn(data.schema, selection.target)) : 'binary';
+  // Output layer the next run would build, as the worker chooses it
+  const selectionOutput = outputLayerFor(
+    selectionTask,
+    data && selection ? getColumn(data.schema, selection.target).values?.length : undefined
+  );
+
+  // Inputs follow the active model; before one exists, the selected features
+  const predictionColumns = modelSchema
+    ? modelSchema.columns
+    : (selection ? selection.features.map(name => getColumn(data.schema, name)) : []);
+
+  const classNames = useMemo(() => {
+    if (!modelSchema) return null;
+    if (task === 'regression') return { positive: 'higher values', negative: 'lower values' };
+    if (task === 'multiclass') return { positive: modelSchema.classes[explainedOutput], negative: 'the other classes' };
+    return { positive: modelSchema.positiveClass, negative: modelSchema.negativeClass };
+  }, [modelSchema, task, explainedOutput]);
+
+  // Output neuron labels for the network view
+  const outputLabels = useMemo(() => {
+    if (!modelSchema) return [];
+    if (task === 'multiclass') return modelSchema.classes;
+    return [task === 'regression' ? formatColumnName(modelSchema.target) : `P(${modelSchema.positiveClass})`];
+  }, [modelSchema, task]);
+
+  // The class with fewer validation rows and the metric holding its recall
+  const minorityClass = useMemo(() => {
+    if (!evaluation?.validation || !modelSchema || task !== 'binary') return null;
+    const { labels } = evaluation.validation;
+    const positiveShare = labels.reduce((sum, label) => sum + label, 0) / (labels.length || 1);
+    return positiveShare <= 0.5
+      ? { name: modelSchema.positiveClass, share: positiveShare, recallKey: 'recall' }
+      : { name: modelSchema.negativeClass, share: 1 - positiveShare, recallKey: 'specificity' };
+  }, [evaluation, modelSchema, task]);
+
+  const inputLabels = useMemo(
+    () => (modelSchema ? getFeatureNames(modelSchema.preprocessor).map(formatColumnName) : []),
+    [modelSchema]
+  );
 
   const chartData = {
     labels: trainingHistory.map((_, index) => `${index + 1}`),
@@ -245,7 +673,8 @@ function App() {
     scales: {
       y: {
         min: 0,
-        max: 1
+        // Regression losses are in squared target units
+        max: task === 'regression' ? undefined : 1
       }
     }
   };
@@ -253,119 +682,243 @@ function App() {
   return (
     <div className="min-h-screen bg-gray-100 p-8">
       <div className="max-w-6xl mx-auto space-y-6">
+        <Paper elevation={3} className="p-6">
+          <DatasetLoader
+            data={data}
+            selection={selection}
+            onDataLoaded={handleDataLoaded}
+            onSelectionChange={setSelection}
+            disabled={trainingStatus === 'training' || trainingStatus === 'paused' || searchStatus === 'running' || backgroundJobRunning}
+          />
+          <PreprocessingOptions
+            config={preprocessingConfig}
+            onChange={setPreprocessingConfig}
+            disabled={trainingStatus === 'training' || trainingStatus === 'paused'}
+          />
+          <SplitOptions
+            config={splitConfig}
+            onChange={setSplitConfig}
+            disabled={trainingStatus === 'training' || trainingStatus === 'paused'}
+          />
+        </Paper>
+
+        <Paper elevation={3} className="p-6">
+          <DataExplorer data={data} target={selectionTask !== 'regression' ? selection?.target : undefined} />
+        </Paper>
+
         <Paper elevation={3} className="p-6">
           <Typography variant="h4" gutterBottom>
             Personality Prediction Model
           </Typography>
           
-          <Box className="mb-6">
-            <Typography gutterBottom>Time Spent Alone (hours/day)</Typography>
-            <Slider
-              value={inputs.timeAlone}
-              onChange={(e, value) => setInputs(prev => ({ ...prev, timeAlone: value }))}
-              min={0}
-              max={11}
-              valueLabelDisplay="auto"
-            />
+          <PredictionInputs
+            columns={predictionColumns}
+            inputs={inputs}
+            onChange={setInputs}
+          />
 
-            <Typography gutterBottom>Stage Fear</Typography>
-            <Button
-              variant={inputs.stageFear === 'Yes' ? 'contained' : 'outlined'}
-              onClick={() => setInputs(prev => ({ ...prev, stageFear: prev.stageFear === 'Yes' ? 'No' : 'Yes' }))}
-              className="mb-4"
-            >
-              {inputs.stageFear}
-            </Button>
-
-            <Typography gutterBottom>Social Event Attendance (per month)</Typography>
-            <Slider
-              value={inputs.socialEvents}
-              onChange={(e, value) => setInputs(prev => ({ ...prev, socialEvents: value }))}
-              min={0}
-              max={10}
-              valueLabelDisplay="auto"
-            />
+          <UncertaintyOptions
+            config={uncertaintyConfig}
+            onChange={setUncertaintyConfig}
+            modelHasDropout={model ? hasDropout(model) : false}
+            members={ensembleMembers.length}
+            ensembleStatus={ensembleStatus}
+            ensembleProgress={ensembleProgress}
+            onTrainEnsemble={trainEnsemble}
+            onStopEnsemble={() => trainingClientRef.current.stop()}
+            canTrainEnsemble={Boolean(model && splitSamples) && trainingStatus !== 'training' && trainingStatus !== 'paused' && searchStatus !== 'running' && !backgroundJobRunning}
+            hasReference={Boolean(trainingReference)}
+          />
 
-            <Typography gutterBottom>Going Outside (days/week)</Typography>
-            <Slider
-              value={inputs.goingOutside}
-              onChange={(e, value) => setInputs(prev => ({ ...prev, goingOutside: value }))}
-              min={0}
-              max={7}
-              valueLabelDisplay="auto"
-            />
+          <PredictionCard
+            schema={modelSchema}
+            prediction={prediction}
+            threshold={threshold}
+            whatIfBase={whatIfBase}
+            onUndo={undoCounterfactual}
+            uncertainty={uncertainty}
+          />
 
-            <Typography gutterBottom>Drained After Socializing</Typography>
-            <Button
-              variant={inputs.drainedAfterSocializing === 'Yes' ? 'contained' : 'outlined'}
-              onClick={() => setInputs(prev => ({ 
-                ...prev, 
-                drainedAfterSocializing: prev.drainedAfterSocializing === 'Yes' ? 'No' : 'Yes' 
-              }))}
-              className="mb-4"
-            >
-              {inputs.drainedAfterSocializing}
-            </Button>
-
-            <Typography gutterBottom>Friends Circle Size</Typography>
-            <Slider
-              value={inputs.friendsCircle}
-              onChange={(e, value) => setInputs(prev => ({ ...prev, friendsCircle: value }))}
-              min={0}
-              max={15}
-              valueLabelDisplay="auto"
-            />
+          <MetricsPanel
+            metrics={metrics}
+            testMetrics={testMetrics}
+            cvSummary={cvSummary}
+            threshold={threshold}
+            minorityClass={minorityClass}
+            task={task}
+          />
 
-            <Typography gutterBottom>Social Media Post Frequency (per week)</Typography>
-            <Slider
-              value={inputs.postFrequency}
-              onChange={(e, value) => setInputs(prev => ({ ...prev, postFrequency: value }))}
-              min={0}
-              max={10}
-              valueLabelDisplay="auto"
+          {task === 'binary' && (
+            <Box className="mt-6">
+              <CounterfactualExplorer
+                model={model}
+                schema={modelSchema}
+                inputs={inputs}
+                threshold={threshold}
+                onApply={applyCounterfactual}
+              />
+            </Box>
+          )}
+        </Paper>
+
+        <Paper elevation={3} className="p-6">
+          {task === 'multiclass' && (
+            <MulticlassEvaluation validation={evaluation?.validation} classes={modelSchema.classes} />
+          )}
+          {task === 'regression' && (
+            <RegressionEvaluation validation={evaluation?.validation} target={modelSchema.target} />
+          )}
+          {task === 'binary' && (
+            <EvaluationDashboard
+              validation={evaluation?.validation}
+              threshold={threshold}
+              onThresholdChange={setThreshold}
+              classNames={classNames}
             />
-          </Box>
+          )}
+        </Paper>
 
-          <Paper elevation={6} className="p-4 mb-6 bg-gradient-to-r from-blue-100 to-purple-100">
-            <Typography variant="h5" align="center">
-              Personality Prediction: {prediction !== null ? (
-                prediction > 0.5 ? 
-                `Introvert (${(prediction * 100).toFixed(1)}%)` : 
-                `Extrovert (${((1 - prediction) * 100).toFixed(1)}%)`
-              ) : 'Training...'}
-            </Typography>
-          </Paper>
-
-          <Paper elevation={3} className="p-4 mb-6">
-            <Typography variant="h6" gutterBottom>Model Performance Metrics</Typography>
-            <div className="grid grid-cols-2 gap-4">
-              <div>
-                <Typography variant="subtitle1">Accuracy: {(metrics.accuracy * 100).toFixed(2)}%</Typography>
-                <Typography variant="subtitle1">Precision: {(metrics.precision * 100).toFixed(2)}%</Typography>
-              </div>
-              <div>
-                <Typography variant="subtitle1">Recall: {(metrics.recall * 100).toFixed(2)}%</Typography>
-                <Typography variant="subtitle1">F1 Score: {(metrics.f1Score * 100).toFixed(2)}%</Typography>
-              </div>
-            </div>
-          </Paper>
+        <Paper elevation={3} className="p-6">
+          <ExperimentHistory
+            refreshKey={experimentsVersion}
+            recordError={recordError}
+            onDismissRecordError={() => setRecordError(null)}
+          />
+        </Paper>
+
+        <Paper elevation={3} className="p-6">
+          <BatchPrediction model={model} modelSchema={modelSchema} threshold={threshold} />
         </Paper>
 
         <Paper elevation={3} className="p-6">
           <Typography variant="h4" gutterBottom>
             Neural Network Visualization
           </Typography>
+          <Box className="mb-6">
+            <ArchitectureBuilder
+              layers={architecture}
+              onChange={setArchitecture}
+              output={selectionOutput}
+              disabled={trainingStatus === 'training' || trainingStatus === 'paused'}
+            />
+          </Box>
           <NeuralNetworkViz
+            model={networkModel}
+            inputLabels={inputLabels}
+            outputLabels={outputLabels}
             inputs={layerActivations[0] || []}
-            weights={[]}
+            inputContributions={attribution?.byFeature}
+            weights={networkWeights}
             activations={layerActivations}
+            snapshots={trainingSnapshots}
+            schema={modelSchema}
+            samples={splitSamples}
+          />
+        </Paper>
+
+        <Paper elevation={3} className="p-6">
+          <Typography variant="h4" gutterBottom>
+            Hidden-Layer Embedding
+          </Typography>
+          <EmbeddingView
+            model={model}
+            schema={modelSchema}
+            rows={data?.rows}
+            inputs={liveInputs}
+            threshold={threshold}
+          />
+        </Paper>
+
+        <Paper elevation={3} className="p-6">
+          <DiagnosticsPanel
+            backend={backend}
+            onBackendChange={changeBackend}
+            latencies={latencies}
+            error={backendError}
           />
         </Paper>
 
         <Paper elevation={3} className="p-6">
+          <ModelManager
+            model={model}
+            getMetadata={getModelMetadata}
+            onModelLoaded={handleModelLoaded}
+            disabled={trainingStatus === 'training' || trainingStatus === 'paused' || searchStatus === 'running' || backgroundJobRunning}
+          />
+        </Paper>
+
+        <Paper elevation={3} className="p-6">
+          <TrainingControls
+            config={trainingConfig}
+            onChange={setTrainingConfig}
+            status={trainingStatus}
+            epochsCompleted={trainingHistory.length}
+            phaseLabel={cvSummary ? `Fold ${cvSummary.currentFold}/${cvSummary.totalFolds}` : null}
+            onStart={() => trainModel()}
+            onPause={pauseTraining}
+            onResume={resumeTraining}
+            onStop={stopTraining}
+            onCancel={cancelTraining}
+            batchProgress={batchProgress}
+            error={trainingError}
+            onDownloadManifest={runManifest && (() => downloadJson('run-manifest.json', runManifest))}
+            disabled={!data || selection.features.length === 0 || searchStatus === 'running' || backgroundJobRunning}
+          />
+          <ImbalanceOptions
+            config={trainingConfig}
+            onChange={setTrainingConfig}
+            data={data}
+            target={selection?.target}
+            task={selectionTask}
+            disabled={trainingStatus === 'training' || trainingStatus === 'paused'}
+          />
           <div className="h-80">
             <Line data={chartData} options={chartOptions} />
           </div>
+          <Typography variant="h6" className="mt-6" gutterBottom>Global Feature Effects</Typography>
+          {task === 'binary' ? (
+            <GlobalExplanations global={evaluation?.global} classNames={classNames} />
+          ) : (
+            <Typography variant="body1" className="text-gray-600">
+              Permutation importance and partial dependence are computed for binary targets.
+            </Typography>
+          )}
+        </Paper>
+
+        <Paper elevation={3} className="p-6">
+          <HyperparameterSearch
+            config={searchConfig}
+            onChange={setSearchConfig}
+            status={searchStatus}
+            results={searchResults}
+            totalTrials={searchTotal}
+            onStart={startSearch}
+            onStop={() => trainingClientRef.current.stop()}
+            onPromote={promoteTrial}
+            task={selectionTask}
+            disabled={!data || selection.features.length === 0 || trainingStatus === 'training' || trainingStatus === 'paused' || backgroundJobRunning}
+          />
+        </Paper>
+
+        <Paper elevation={3} className="p-6">
+          <Typography variant="h4" gutterBottom>
+            Continuous Learning
+          </Typography>
+          <ContinuousLearning
+            model={model}
+            schema={modelSchema}
+            dataset={data?.name}
+            inputs={inputs}
+            samples={splitSamples}
+            threshold={threshold}
+            config={fineTuneConfig}
+            onConfigChange={setFineTuneConfig}
+            rounds={fineTuneRounds}
+            status={fineTuneStatus}
+            onFineTune={startFineTune}
+            onUndo={undoFineTune}
+            disabled={trainingStatus === 'training' || trainingStatus === 'paused' || searchStatus === 'running' || backgroundJobRunning}
+          />
         </Paper>
 
         <Paper elevation={3} className="p-6">
@@ -376,54 +929,7 @@ function App() {
           <Box className="space-y-4">
             <div>
               <Typography variant="h6" gutterBottom>Input Variables and Their Impact</Typography>
-              <Typography variant="body1">
-                • Time Spent Alone: Higher values suggest introversion
-                - Preference for solitude
-                - Need for personal space
-                - Time for self-reflection
-              </Typography>
-              
-              <Typography variant="body1" className="mt-2">
-                • Stage Fear: Strong indicator
-                - Common among introverts
-                - Related to social anxiety
-                - Public speaking comfort level
-              </Typography>
-              
-              <Typography variant="body1" className="mt-2">
-                • Social Event Attendance: Key behavioral marker
-                - Frequency of social gatherings
-                - Comfort in group settings
-                - Social energy expenditure
-              </Typography>
-              
-              <Typography variant="body1" className="mt-2">
-                • Going Outside: Activity pattern indicator
-                - Daily social exposure
-                - Comfort with external environment
-                - Social interaction frequency
-              </Typography>
-
-              <Typography variant="body1" className="mt-2">
-                • Drained After Socializing: Energy pattern
-                - Social battery indicator
-                - Recovery needs
-                - Social energy management
-              </Typography>
-
-              <Typography variant="body1" className="mt-2">
-                • Friends Circle Size: Social network indicator
-                - Quality vs quantity of relationships
-                - Social comfort zone
-                - Relationship maintenance
-              </Typography>
-
-              <Typography variant="body1" className="mt-2">
-                • Post Frequency: Digital social behavior
-                - Online presence
-                - Social media comfort
-                - Public sharing tendency
-              </Typography>
+              <GlobalFindings global={task === 'binary' ? evaluation?.global : null} classNames={classNames} />
             </div>
 
             <div>
@@ -432,21 +938,19 @@ function App() {
                 The network processes these inputs through:
                 1. Input Layer: Normalizes and weighs raw features
                 2. Hidden Layers: Identifies complex personality patterns
-                3. Output Layer: Generates personality prediction
-                4. Continuous Learning: Adapts to new data patterns
+                3. Output Layer: Generates the prediction (a class probability, one per class, or a value)
+                4. Continuous Learning: Fine-tunes on the examples you label in the Continuous Learning panel
               </Typography>
             </div>
 
-            <div>
-              <Typography variant="h6" gutterBottom>Current Prediction Analysis</Typography>
-              <Typography variant="body1">
-                The current prediction is based on the combination of all input factors, with special attention to:
-                - Pattern recognition in social behaviors
-                - Energy management tendencies
-                - Social comfort indicators
-                - Communication preferences
-              </Typography>
-            </div>
+            <FeatureAttribution
+              attribution={attribution}
+              error={attributionError}
+              method={attributionMethod}
+              onMethodChange={setAttributionMethod}
+              classNames={classNames}
+              task={task}
+            />
           </Box>
         </Paper>
       </div>
@@ -0,0 +1,105 @@
+import React from 'react';
+import {
+  Typography,
+  Box,
+  Button,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  IconButton
+} from '@mui/material';
+import { ACTIVATIONS, createHiddenLayer, outputLayerFor } from '../utils/modelBuilder';
+
+const ArchitectureBuilder = ({ layers, onChange, output = outputLayerFor(), disabled }) => {
+  const updateLayer = (index, field, value) => {
+    onChange(layers.map((layer, i) => (i === index ? { ...layer, [field]: value } : layer)));
+  };
+
+  const removeLayer = (index) => {
+    onChange(layers.filter((_, i) => i !== index));
+  };
+
+  const addLayer = () => {
+    onChange([...layers, createHiddenLayer()]);
+  };
+
+  return (
+    <Box>
+      <Typography variant="h6" gutterBottom>Network Architecture</Typography>
+      <Typography variant="body2" className="text-gray-600 mb-4">
+        Input layer → {layers.length} hidden layer{layers.length === 1 ? '' : 's'} → {output.units} {output.activation} output{output.units === 1 ? '' : 's'}
+      </Typography>
+
+      <div className="space-y-3 mt-3">
+        {layers.map((layer, i) => (
+          <div key={i} className="flex flex-wrap items-center gap-3 p-3 border rounded-lg bg-gray-50">
+            <Typography variant="subtitle2" className="w-24">Hidden {i + 1}</Typography>
+            <TextField
+              label="Units"
+              type="number"
+              size="small"
+              value={layer.units}
+              onChange={(e) => updateLayer(i, 'units', Math.max(1, parseInt(e.target.value, 10) || 1))}
+              inputProps={{ min: 1, max: 128 }}
+              disabled={disabled}
+              className="w-24"
+            />
+            <FormControl size="small" className="w-32" disabled={disabled}>
+              <InputLabel>Activation</InputLabel>
+              <Select
+                label="Activation"
+                value={layer.activation}
+                onChange={(e) => updateLayer(i, 'activation', e.target.value)}
+              >
+                {ACTIVATIONS.map(activation => (
+                  <MenuItem key={activation} value={activation}>{activation}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <TextField
+              label="Dropout"
+              type="number"
+              size="small"
+              value={layer.dropout}
+              onChange={(e) => updateLayer(i, 'dropout', Math.min(0.9, Math.max(0, parseFloat(e.target.value) || 0)))}
+              inputProps={{ min: 0, max: 0.9, step: 0.05 }}
+              disabled={disabled}
+              className="w-24"
+            />
+            <TextField
+              label="L2"
+              type="number"
+              size="small"
+              value={layer.l2}
+              onChange={(e) => updateLayer(i, 'l2', Math.max(0, parseFloat(e.target.value) || 0))}
+              inputProps={{ min: 0, step: 0.001 }}
+              disabled={disabled}
+              className="w-28"
+            />
+            <IconButton
+              aria-label={`Remove hidden layer ${i + 1}`}
+              onClick={() => removeLayer(i)}
+              disabled={disabled}
+              size="small"
+            >
+              ✕
+            </IconButton>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex gap-3 mt-4">
+        <Button variant="outlined" onClick={addLayer} disabled={disabled}>
+          Add Hidden Layer
+        </Button>
+        <Typography variant="body2" className="text-gray-600 self-center">
+          Changes apply the next time you start training.
+        </Typography>
+      </div>
+    </Box>
+  );
+};
+
+export default ArchitectureBuilder;
@@ -0,0 +1,283 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  Typography,
+  Box,
+  Button,
+  Alert,
+  LinearProgress,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableSortLabel,
+  TablePagination,
+  Chip
+} from '@mui/material';
+import { parseCsvFile, isMissing, formatColumnName } from '../utils/schema';
+import { validateRow, scoreRows, resultsToCsv } from '../utils/batchPrediction';
+import { computeBinaryMetrics, computeTaskMetrics, predictedClasses, rocCurve } from '../utils/metrics';
+import { downloadText, downloadJson } from '../utils/download';
+
+const ROWS_PER_PAGE = 10;
+
+const BatchPrediction = ({ model, modelSchema, threshold }) => {
+  const fileInputRef = useRef();
+  const [file, setFile] = useState(null);
+  const [scored, setScored] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [sort, setSort] = useState({ key: 'index', direction: 'asc' });
+  const [page, setPage] = useState(0);
+
+  const handleFile = async (selected) => {
+    if (!selected) return;
+    try {
+      setError(null);
+      setScored(null);
+      const parsed = await parseCsvFile(selected);
+      const fields = parsed.schema.map(column => column.name);
+      const absent = modelSchema.columns.filter(column => !fields.includes(column.name));
+      if (absent.length === modelSchema.columns.length) {
+        throw new Error('None of the model\'s feature columns were found in the file.');
+      }
+
+      setFile(selected.name);
+      setProgress(0);
+      const outputs = await scoreRows(model, modelSchema.preprocessor, parsed.rows, setProgress);
+      setScored({
+        schema: modelSchema,
+        hasLabels: fields.includes(modelSchema.target),
+        rows: parsed.rows.map((row, index) => ({
+          index,
+          row,
+          output: outputs[index],
+          issues: validateRow(modelSchema.columns, row)
+        }))
+      });
+      setPage(0);
+    } catch (err) {
+      setError(`Could not score ${selected.name}: ${err.message}`);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  // Scores belong to the model that produced them; a retrained model may have
+  // another task and output shape
+  useEffect(() => {
+    setScored(null);
+    setFile(null);
+  }, [model, modelSchema]);
+  const current = scored?.schema === modelSchema ? scored : null;
+
+  const task = modelSchema?.task ?? 'binary';
+
+  // The decision follows the current threshold without re-running the model.
+  // Multi-class rows report the probability of their most likely class.
+  const results = useMemo(() => (current ? current.rows.map(({ output, ...result }) => {
+    if (task === 'regression') {
+      return { ...result, predicted: output };
+    }
+    if (task === 'multiclass') {
+      const [predicted] = predictedClasses([output]);
+      return { ...result, output, probability: output[predicted], predicted: modelSchema.classes[predicted] };
+    }
+    return {
+      ...result,
+      probability: output,
+      predicted: output > threshold ? modelSchema.positiveClass : modelSchema.negativeClass
+    };
+  }) : []), [current, threshold, modelSchema, task]);
+
+  const sortedResults = useMemo(() => {
+    const value = (result) => (sort.key === 'issues' ? result.issues.length : result[sort.key]);
+    const sign = sort.direction === 'asc' ? 1 : -1;
+    return [...results].sort((a, b) => (value(a) > value(b) ? sign : value(a) < value(b) ? -sign : 0));
+  }, [results, sort]);
+
+  const labelledMetrics = useMemo(() => {
+    if (!current?.hasLabels) return null;
+    const readTarget = (result) => String(result.row[modelSchema.target]).trim();
+    const labelled = results.filter(result => !isMissing(result.row[modelSchema.target]));
+
+    if (task === 'regression') {
+      const valid = labelled.filter(result => Number.isFinite(Number(readTarget(result))));
+      return {
+        count: valid.length,
+        ...computeTaskMetrics({
+          predictions: valid.map(result => result.predicted),
+          labels: valid.map(result => Number(readTarget(result)))
+        }, task)
+      };
+    }
+    if (task === 'multiclass') {
+      // Classes the model never saw cannot be scored
+      const known = labelled.filter(result => modelSchema.classes.includes(readTarget(result)));
+      return {
+        count: known.length,
+        ...computeTaskMetrics({
+          probabilities: known.map(result => result.output),
+          labels: known.map(result => modelSchema.classes.indexOf(readTarget(result)))
+        }, task)
+      };
+    }
+
+    const labels = labelled.map(result => (readTarget(result) === modelSchema.positiveClass ? 1 : 0));
+    const probabilities = labelled.map(result => result.probability);
+    return {
+      count: labelled.length,
+      ...computeBinaryMetrics(probabilities, labels, threshold),
+      auc: rocCurve(probabilities, labels).auc
+    };
+  }, [current, results, threshold, modelSchema, task]);
+
+  const toggleSort = (key) => setSort(prev => ({
+    key,
+    direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc'
+  }));
+
+  const baseName = file ? file.replace(/\.csv$/i, '') : 'predictions';
+  const flagged = results.filter(result => result.issues.length > 0).length;
+
+  const sortableHeader = (key, label) => (
+    <TableCell>
+      <TableSortLabel
+        active={sort.key === key}
+        direction={sort.key === key ? sort.direction : 'asc'}
+        onClick={() => toggleSort(key)}
+      >
+        {label}
+      </TableSortLabel>
+    </TableCell>
+  );
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>Batch Prediction</Typography>
+      <Typography variant="body2" className="text-gray-600 mb-3">
+        Upload a CSV with the same columns as the training data to score every row at once.
+        A {modelSchema ? formatColumnName(modelSchema.target) : 'target'} column is optional; when present, metrics are computed on it.
+      </Typography>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <Button variant="contained" onClick={() => fileInputRef.current.click()} disabled={!model || progress !== null}>
+          Upload CSV
+        </Button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,text/csv"
+          hidden
+          onChange={(e) => {
+            handleFile(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+        <Button
+          variant="outlined"
+          onClick={() => downloadText(`${baseName}-scored.csv`, resultsToCsv(results), 'text/csv')}
+          disabled={results.length === 0}
+        >
+          Download CSV
+        </Button>
+        <Button
+          variant="outlined"
+          onClick={() => downloadJson(`${baseName}-scored.json`, results.map(({ row, probability, predicted, issues }) => ({
+            ...row, probability, predicted, flags: issues
+          })))}
+          disabled={results.length === 0}
+        >
+          Download JSON
+        </Button>
+        {!model && <Typography variant="body2" className="text-gray-500">Train or open a model first.</Typography>}
+      </div>
+
+      {progress !== null && <LinearProgress variant="determinate" value={progress * 100} className="mt-3" />}
+      {error && <Alert severity="error" className="mt-3">{error}</Alert>}
+
+      {results.length > 0 && (
+        <>
+          <Typography variant="body2" className="mt-4">
+            {file}: {results.length} rows scored, {flagged} flagged for missing, non-numeric or out-of-range values
+            (missing and non-numeric values were imputed the same way as during training).
+          </Typography>
+
+          {labelledMetrics && (
+            <Alert severity="info" className="mt-3">
+              Labelled rows ({labelledMetrics.count}):{' '}
+              {task === 'binary' && (
+                <>
+                  accuracy {(labelledMetrics.accuracy * 100).toFixed(2)}%,
+                  precision {(labelledMetrics.precision * 100).toFixed(2)}%,
+                  recall {(labelledMetrics.recall * 100).toFixed(2)}%,
+                  F1 {(labelledMetrics.f1Score * 100).toFixed(2)}%,
+                  ROC AUC {labelledMetrics.auc.toFixed(3)}
+                </>
+              )}
+              {task === 'multiclass' && (
+                <>
+                  accuracy {(labelledMetrics.accuracy * 100).toFixed(2)}%,
+                  macro precision {(labelledMetrics.macroPrecision * 100).toFixed(2)}%,
+                  macro recall {(labelledMetrics.macroRecall * 100).toFixed(2)}%,
+                  macro F1 {(labelledMetrics.macroF1 * 100).toFixed(2)}%
+                </>
+              )}
+              {task === 'regression' && (
+                <>
+                  RMSE {labelledMetrics.rmse.toFixed(3)},
+                  MAE {labelledMetrics.mae.toFixed(3)},
+                  R² {labelledMetrics.r2.toFixed(3)}
+                </>
+              )}
+            </Alert>
+          )}
+
+          <div className="overflow-x-auto mt-3">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  {sortableHeader('index', 'Row')}
+                  {modelSchema.columns.map(column => (
+                    <TableCell key={column.name}>{formatColumnName(column.name)}</TableCell>
+                  ))}
+                  {task === 'binary' && sortableHeader('probability', `P(${modelSchema.positiveClass})`)}
+                  {task === 'multiclass' && sortableHeader('probability', 'P(prediction)')}
+                  {sortableHeader('predicted', 'Prediction')}
+                  {sortableHeader('issues', 'Flags')}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {sortedResults.slice(page * ROWS_PER_PAGE, (page + 1) * ROWS_PER_PAGE).map(result => (
+                  <TableRow key={result.index}>
+                    <TableCell>{result.index + 1}</TableCell>
+                    {modelSchema.columns.map(column => (
+                      <TableCell key={column.name}>{result.row[column.name] ?? ''}</TableCell>
+                    ))}
+                    {task !== 'regression' && <TableCell>{(result.probability * 100).toFixed(1)}%</TableCell>}
+                    <TableCell>{task === 'regression' ? result.predicted.toFixed(3) : result.predicted}</TableCell>
+                    <TableCell>
+                      {result.issues.length > 0 && (
+                        <Chip label={result.issues.join('; ')} size="small" color="warning" variant="outlined" />
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+          <TablePagination
+            component="div"
+            count={sortedResults.length}
+            page={page}
+            onPageChange={(e, newPage) => setPage(newPage)}
+            rowsPerPage={ROWS_PER_PAGE}
+            rowsPerPageOptions={[ROWS_PER_PAGE]}
+          />
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default BatchPrediction;
@@ -0,0 +1,84 @@
+import React, { useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+
+const WIDTH = 480;
+const HEIGHT = 280;
+const MARGIN = { top: 20, right: 20, bottom: 40, left: 50 };
+
+// Horizontal-axis classes, vertical-axis values: one box per class with
+// Tukey whiskers and the outliers drawn as dots
+const BoxPlot = ({ boxes, label, color }) => {
+  const svgRef = useRef();
+
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    if (boxes.length === 0) return;
+
+    const width = WIDTH - MARGIN.left - MARGIN.right;
+    const height = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const g = svg.append("g").attr("transform", `translate(${MARGIN.left},${MARGIN.top})`);
+
+    const x = d3.scaleBand().domain(boxes.map(b => b.value)).range([0, width]).padding(0.4);
+    const low = d3.min(boxes, b => Math.min(b.low, ...b.outliers));
+    const high = d3.max(boxes, b => Math.max(b.high, ...b.outliers));
+    const y = d3.scaleLinear().domain([low, high]).nice().range([height, 0]);
+
+    g.append("g").attr("transform", `translate(0,${height})`).call(d3.axisBottom(x));
+    g.append("g").call(d3.axisLeft(y).ticks(6));
+    g.append("text")
+      .attr("transform", "rotate(-90)")
+      .attr("x", -height / 2)
+      .attr("y", -38)
+      .attr("text-anchor", "middle")
+      .style("font-size", "12px")
+      .text(label);
+
+    const box = g.selectAll(".box")
+      .data(boxes)
+      .enter()
+      .append("g")
+      .attr("class", "box")
+      .attr("transform", d => `translate(${x(d.value)},0)`);
+
+    box.append("line")
+      .attr("x1", x.bandwidth() / 2)
+      .attr("x2", x.bandwidth() / 2)
+      .attr("y1", d => y(d.low))
+      .attr("y2", d => y(d.high))
+      .style("stroke", "#555");
+
+    box.append("rect")
+      .attr("width", x.bandwidth())
+      .attr("y", d => y(d.q3))
+      .attr("height", d => Math.max(1, y(d.q1) - y(d.q3)))
+      .style("fill", d => color(d.value))
+      .style("fill-opacity", 0.6)
+      .style("stroke", "#555");
+
+    box.selectAll(".whisker")
+      .data(d => [d.low, d.high, d.median])
+      .enter()
+      .append("line")
+      .attr("x1", (d, i) => (i === 2 ? 0 : x.bandwidth() * 0.25))
+      .attr("x2", (d, i) => (i === 2 ? x.bandwidth() : x.bandwidth() * 0.75))
+      .attr("y1", d => y(d))
+      .attr("y2", d => y(d))
+      .style("stroke", "#333")
+      .style("stroke-width", (d, i) => (i === 2 ? 2 : 1));
+
+    box.selectAll(".outlier")
+      .data(d => d.outliers)
+      .enter()
+      .append("circle")
+      .attr("cx", x.bandwidth() / 2)
+      .attr("cy", d => y(d))
+      .attr("r", 2.5)
+      .style("fill", "none")
+      .style("stroke", "#555");
+  }, [boxes, label, color]);
+
+  return <svg ref={svgRef} viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full max-w-xl" />;
+};
+
+export default BoxPlot;
@@ -0,0 +1,340 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Typography,
+  Box,
+  Button,
+  TextField,
+  Alert,
+  Chip,
+  LinearProgress,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import { METRIC_LABELS } from './MetricsPanel';
+import { parseCsv, formatColumnName } from '../utils/schema';
+import { readLabel } from '../utils/dataPreparation';
+import { computeTaskMetrics } from '../utils/metrics';
+import { listExamples, saveExamples, deleteExamples, createExamples } from '../utils/exampleStore';
+
+// Regression errors and every loss improve downwards
+const LOWER_IS_BETTER = ['mse', 'rmse', 'mae', 'validationLoss'];
+
+const percent = (value) => `${(value * 100).toFixed(2)}%`;
+const decimal = (value) => value.toFixed(4);
+
+const describeRow = (schema, row) =>
+  schema.columns.map(column => `${formatColumnName(column.name)}: ${row[column.name] ?? '–'}`).join(', ');
+
+// Before/after rows for one part of the split, in the metrics panel's order
+const compareMetrics = (before, after, task, threshold) => {
+  if (!before || !after) return [];
+  const earlier = computeTaskMetrics(before, task, threshold);
+  const later = computeTaskMetrics(after, task, threshold);
+  return METRIC_LABELS[task].map(([key, label]) => ({ key, label, before: earlier[key], after: later[key] }));
+};
+
+const ComparisonTable = ({ title, rows, format }) => (
+  <div>
+    <Typography variant="subtitle2">{title}</Typography>
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell>Metric</TableCell>
+          <TableCell align="right">Before</TableCell>
+          <TableCell align="right">After</TableCell>
+          <TableCell align="right">Change</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {rows.map(({ key, label, before, after }) => {
+          const change = after - before;
+          const improved = LOWER_IS_BETTER.includes(key) ? change < 0 : change > 0;
+          const formatRow = key === 'validationLoss' ? decimal : format;
+          return (
+            <TableRow key={key}>
+              <TableCell>{label}</TableCell>
+              <TableCell align="right">{Number.isFinite(before) ? formatRow(before) : '–'}</TableCell>
+              <TableCell align="right">{Number.isFinite(after) ? formatRow(after) : '–'}</TableCell>
+              <TableCell align="right" className={change === 0 || !Number.isFinite(change) ? '' : improved ? 'text-green-700' : 'text-red-600'}>
+                {Number.isFinite(change) ? `${change > 0 ? '+' : ''}${formatRow(change)}` : '–'}
+              </TableCell>
+            </TableRow>
+          );
+        })}
+      </TableBody>
+    </Table>
+  </div>
+);
+
+// Examples labelled here are stored in the browser and learned by
+// fine-tuning the live model; each round can be undone
+const ContinuousLearning = ({
+  model,
+  schema,
+  dataset,
+  inputs,
+  samples,
+  threshold,
+  config,
+  onConfigChange,
+  rounds,
+  status,
+  onFineTune,
+  onUndo,
+  disabled
+}) => {
+  const [examples, setExamples] = useState([]);
+  const [regressionLabel, setRegressionLabel] = useState('');
+  const [pasted, setPasted] = useState('');
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+
+  const task = schema?.task ?? 'binary';
+  const classes = task === 'binary' ? [schema?.negativeClass, schema?.positiveClass] : schema?.classes || [];
+  const isRunning = status === 'running';
+
+  const refresh = async () => {
+    if (!schema || !dataset) {
+      setExamples([]);
+      return;
+    }
+    try {
+      setExamples(await listExamples(dataset, schema.target));
+    } catch (err) {
+      setError(`Could not read the labelled examples: ${err.message}`);
+    }
+  };
+
+  useEffect(() => {
+    refresh();
+  }, [dataset, schema?.target]);
+
+  // Examples a fine-tuning round of the current model has already learned
+  const learnedIds = useMemo(() => new Set(rounds.flatMap(round => round.examples.map(example => example.id))), [rounds]);
+  const pending = examples.filter(example => !learnedIds.has(example.id));
+
+  const addRows = async (rows, source) => {
+    try {
+      setError(null);
+      await saveExamples(createExamples({ dataset, schema, rows, source }));
+      await refresh();
+    } catch (err) {
+      setError(`Could not store the examples: ${err.message}`);
+    }
+  };
+
+  const labelInputs = (label) => {
+    setNotice(null);
+    addRows([{ ...inputs, [schema.target]: label }], 'sliders');
+  };
+
+  const addPasted = () => {
+    const { rows } = parseCsv('pasted rows', pasted);
+    const labelled = rows.filter(row => readLabel(schema, row) !== null);
+    if (labelled.length === 0) {
+      setError(`No pasted row has a valid ${formatColumnName(schema.target)} value; the first line must be a header.`);
+      return;
+    }
+    setNotice(`Added ${labelled.length} row${labelled.length === 1 ? '' : 's'}${labelled.length < rows.length ? `; skipped ${rows.length - labelled.length} without a valid label` : ''}.`);
+    setPasted('');
+    addRows(labelled, 'pasted');
+  };
+
+  const removeExamples = async (ids) => {
+    try {
+      await deleteExamples(ids);
+      await refresh();
+    } catch (err) {
+      setError(`Could not delete the examples: ${err.message}`);
+    }
+  };
+
+  const updateNumber = (field, parse, min) => (e) => {
+    const value = parse(e.target.value);
+    onConfigChange({ ...config, [field]: Number.isFinite(value) ? Math.max(min, value) : min });
+  };
+
+  if (!model || !schema) {
+    return (
+      <Typography variant="body1" className="text-gray-600">
+        Train a model to start labelling new examples.
+      </Typography>
+    );
+  }
+
+  const lastRound = rounds[rounds.length - 1];
+  const format = task === 'regression' ? decimal : percent;
+  const validationRows = lastRound && [
+    ...compareMetrics(lastRound.before.validation, lastRound.after.validation, task, threshold),
+    { key: 'validationLoss', label: 'Loss', before: lastRound.before.validationLoss, after: lastRound.after.validationLoss }
+  ];
+  const testRows = lastRound && compareMetrics(lastRound.before.test, lastRound.after.test, task, threshold);
+
+  return (
+    <Box>
+      <Typography variant="body2" className="text-gray-600 mb-3">
+        Label the current inputs or paste rows, then fine-tune: the live model trains a few more epochs on the
+        new examples{config.replayRows > 0 && ', mixed with replayed rows from its training set so it keeps what it already learned'}.
+        Scaling and encoding stay as fitted on the original data.
+      </Typography>
+      {error && <Alert severity="error" className="mb-3" onClose={() => setError(null)}>{error}</Alert>}
+      {notice && <Alert severity="info" className="mb-3" onClose={() => setNotice(null)}>{notice}</Alert>}
+
+      <Typography variant="subtitle2">Label the current inputs</Typography>
+      <Typography variant="body2" className="text-gray-600 mb-2">{describeRow(schema, inputs)}</Typography>
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {task === 'regression' ? (
+          <>
+            <TextField
+              label={formatColumnName(schema.target)}
+              type="number"
+              size="small"
+              value={regressionLabel}
+              onChange={(e) => setRegressionLabel(e.target.value)}
+              className="w-40"
+            />
+            <Button
+              variant="outlined"
+              onClick={() => labelInputs(regressionLabel)}
+              disabled={!Number.isFinite(parseFloat(regressionLabel))}
+            >
+              Add example
+            </Button>
+          </>
+        ) : classes.map(name => (
+          <Button key={name} variant="outlined" onClick={() => labelInputs(name)}>
+            Add as {name}
+          </Button>
+        ))}
+      </div>
+
+      <TextField
+        label="Paste labelled rows (CSV with a header line)"
+        multiline
+        minRows={3}
+        fullWidth
+        size="small"
+        value={pasted}
+        onChange={(e) => setPasted(e.target.value)}
+        placeholder={[...schema.columns.map(column => column.name), schema.target].join(',')}
+      />
+      <Button variant="outlined" className="mt-2" onClick={addPasted} disabled={pasted.trim() === ''}>
+        Add rows
+      </Button>
+
+      {examples.length > 0 && (
+        <div className="overflow-x-auto max-h-72 mt-4">
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell>{formatColumnName(schema.target)}</TableCell>
+                <TableCell>Features</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {examples.map(example => (
+                <TableRow key={example.id}>
+                  <TableCell>{example.row[schema.target]}</TableCell>
+                  <TableCell className="text-xs">{describeRow(schema, example.row)}</TableCell>
+                  <TableCell>
+                    <Chip
+                      size="small"
+                      label={learnedIds.has(example.id) ? 'Learned' : 'Pending'}
+                      color={learnedIds.has(example.id) ? 'success' : 'default'}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <Button size="small" color="error" onClick={() => removeExamples([example.id])} disabled={learnedIds.has(example.id)}>
+                      Remove
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3 mt-4">
+        <TextField
+          label="Epochs"
+          type="number"
+          size="small"
+          value={config.epochs}
+          onChange={updateNumber('epochs', (v) => parseInt(v, 10), 1)}
+          inputProps={{ min: 1 }}
+          disabled={isRunning}
+          className="w-24"
+        />
+        <TextField
+          label="Learning rate"
+          type="number"
+          size="small"
+          value={config.learningRate}
+          onChange={updateNumber('learningRate', parseFloat, 0.00001)}
+          inputProps={{ min: 0.00001, step: 0.0001 }}
+          disabled={isRunning}
+          className="w-32"
+        />
+        <TextField
+          label="Replayed rows"
+          type="number"
+          size="small"
+          value={config.replayRows}
+          onChange={updateNumber('replayRows', (v) => parseInt(v, 10), 0)}
+          inputProps={{ min: 0 }}
+          helperText={samples ? `of ${samples.train.length} training rows` : undefined}
+          disabled={isRunning}
+          className="w-36"
+        />
+      </div>
+      <div className="flex flex-wrap items-center gap-3 mt-2">
+        <Button
+          variant="contained"
+          onClick={() => onFineTune(pending)}
+          disabled={isRunning || disabled || pending.length === 0 || !samples}
+        >
+          Fine-tune on {pending.length} new example{pending.length === 1 ? '' : 's'}
+        </Button>
+        <Button variant="outlined" onClick={onUndo} disabled={isRunning || disabled || rounds.length === 0}>
+          Undo last fine-tune
+        </Button>
+        <Button
+          variant="outlined"
+          color="error"
+          onClick={() => removeExamples(pending.map(example => example.id))}
+          disabled={isRunning || pending.length === 0}
+        >
+          Remove pending
+        </Button>
+      </div>
+      {!samples && (
+        <Typography variant="caption" className="block text-gray-500 mt-1">
+          Fine-tuning needs the training and validation rows of this session; retrain the model to enable it.
+        </Typography>
+      )}
+      {isRunning && <LinearProgress className="mt-3" />}
+
+      {lastRound && (
+        <Box className="mt-4">
+          <Typography variant="body2" className="text-gray-600 mb-2">
+            Round {rounds.length}: {lastRound.examples.length} new example{lastRound.examples.length === 1 ? '' : 's'}
+            {' '}and {lastRound.trainingRows - lastRound.examples.length} replayed rows, {lastRound.config.epochs} epochs
+            {task === 'binary' && ` · scored at threshold ${threshold.toFixed(2)}`}
+          </Typography>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <ComparisonTable title="Validation set" rows={validationRows} format={format} />
+            {testRows.length > 0 && <ComparisonTable title="Test set" rows={testRows} format={format} />}
+          </div>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default ContinuousLearning;
@@ -0,0 +1,69 @@
+import React, { useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+import { formatColumnName } from '../utils/schema';
+
+const CELL = 56;
+const MARGIN = { top: 20, right: 20, bottom: 150, left: 170 };
+
+const CorrelationHeatmap = ({ columns, matrix }) => {
+  const svgRef = useRef();
+  const size = columns.length * CELL;
+
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    if (columns.length === 0) return;
+
+    const names = columns.map(column => formatColumnName(column.name));
+    const g = svg.append("g").attr("transform", `translate(${MARGIN.left},${MARGIN.top})`);
+    const x = d3.scaleBand().domain(d3.range(columns.length)).range([0, size]);
+    const color = d3.scaleSequential(d3.interpolateRdBu).domain([1, -1]);
+
+    const cells = matrix.flatMap((row, i) => row.map((value, j) => ({ i, j, value })));
+    const cell = g.selectAll(".cell")
+      .data(cells)
+      .enter()
+      .append("g")
+      .attr("class", "cell")
+      .attr("transform", d => `translate(${x(d.j)},${x(d.i)})`);
+
+    cell.append("rect")
+      .attr("width", x.bandwidth() - 1)
+      .attr("height", x.bandwidth() - 1)
+      .style("fill", d => color(d.value));
+
+    cell.append("title").text(d => `${names[d.i]} × ${names[d.j]}: ${d.value.toFixed(3)}`);
+
+    cell.append("text")
+      .attr("x", x.bandwidth() / 2)
+      .attr("y", x.bandwidth() / 2)
+      .attr("dy", ".35em")
+      .attr("text-anchor", "middle")
+      .style("font-size", "11px")
+      .style("fill", d => (Math.abs(d.value) > 0.6 ? "white" : "#222"))
+      .text(d => d.value.toFixed(2));
+
+    g.append("g")
+      .call(d3.axisLeft(x).tickFormat(i => names[i]).tickSize(0))
+      .call(axis => axis.select(".domain").remove());
+
+    g.append("g")
+      .attr("transform", `translate(0,${size})`)
+      .call(d3.axisBottom(x).tickFormat(i => names[i]).tickSize(0))
+      .call(axis => axis.select(".domain").remove())
+      .selectAll("text")
+      .attr("transform", "rotate(-45)")
+      .attr("text-anchor", "end")
+      .attr("dx", "-0.5em");
+  }, [columns, matrix, size]);
+
+  const width = size + MARGIN.left + MARGIN.right;
+  const height = size + MARGIN.top + MARGIN.bottom;
+  return (
+    <div className="overflow-x-auto">
+      <svg ref={svgRef} width={width} height={height} viewBox={`0 0 ${width} ${height}`} />
+    </div>
+  );
+};
+
+export default CorrelationHeatmap;
@@ -0,0 +1,121 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Typography, Box, Button, Chip, CircularProgress, Alert } from '@mui/material';
+import { findCounterfactuals } from '../utils/counterfactuals';
+import { formatColumnName } from '../utils/schema';
+
+const CounterfactualExplorer = ({ model, schema, inputs, threshold, onApply }) => {
+  const [locked, setLocked] = useState([]);
+  const [result, setResult] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+  // Bumped whenever a running search's result would no longer apply
+  const searchRef = useRef(0);
+
+  // Suggestions only hold for the inputs, model and threshold they were found for
+  useEffect(() => {
+    searchRef.current += 1;
+    setResult(null);
+    setError(null);
+  }, [model, inputs, threshold, locked]);
+
+  useEffect(() => {
+    setLocked([]);
+  }, [schema]);
+
+  const search = async () => {
+    const current = ++searchRef.current;
+    setSearching(true);
+    setError(null);
+    try {
+      const found = await findCounterfactuals(model, schema.preprocessor, schema.columns, inputs, threshold, locked);
+      if (current === searchRef.current) setResult(found);
+    } catch (err) {
+      if (current === searchRef.current) setError(`Could not search for counterfactuals: ${err.message}`);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const toggleLock = (name) => setLocked(prev =>
+    (prev.includes(name) ? prev.filter(other => other !== name) : [...prev, name])
+  );
+
+  if (!model || !schema) {
+    return null;
+  }
+
+  const classOf = (p) => (p > threshold ? schema.positiveClass : schema.negativeClass);
+
+  return (
+    <Box>
+      <Typography variant="h6" gutterBottom>What would change the prediction?</Typography>
+      <Typography variant="body2" className="text-gray-600 mb-3">
+        Searches for the smallest changes to the current inputs that flip the prediction, staying within each
+        input's range. Lock the inputs that cannot change.
+      </Typography>
+
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        {schema.columns.map(column => (
+          <Chip
+            key={column.name}
+            label={`${formatColumnName(column.name)}${locked.includes(column.name) ? ' (locked)' : ''}`}
+            color={locked.includes(column.name) ? 'default' : 'primary'}
+            variant={locked.includes(column.name) ? 'filled' : 'outlined'}
+            onClick={() => toggleLock(column.name)}
+          />
+        ))}
+      </div>
+
+      <div className="flex items-center gap-3">
+        <Button
+          variant="contained"
+          onClick={search}
+          disabled={searching || locked.length === schema.columns.length}
+        >
+          Find counterfactuals
+        </Button>
+        {searching && <CircularProgress size={24} />}
+      </div>
+      {error && <Alert severity="error" className="mt-3">{error}</Alert>}
+
+      {result && (
+        result.counterfactuals.length === 0 ? (
+          <Typography variant="body2" className="mt-3 text-gray-600">
+            No combination of up to four changes to the unlocked inputs flips the prediction
+            from {classOf(result.probability)}.
+          </Typography>
+        ) : (
+          <div className="mt-3 space-y-2">
+            {result.counterfactuals.map(counterfactual => (
+              <div
+                key={counterfactual.changes.map(change => `${change.name}=${change.to}`).join('|')}
+                className="flex flex-wrap items-center justify-between gap-3 p-3 bg-gray-50 rounded-lg"
+              >
+                <div>
+                  {counterfactual.changes.map(change => (
+                    <Typography key={change.name} variant="body2">
+                      <strong>{formatColumnName(change.name)}</strong>: {change.from} → {change.to}
+                    </Typography>
+                  ))}
+                  <Typography variant="caption" className="text-gray-600">
+                    P({schema.positiveClass}) {(result.probability * 100).toFixed(1)}%
+                    → {(counterfactual.probability * 100).toFixed(1)}% · {classOf(result.probability)} → {classOf(counterfactual.probability)}
+                  </Typography>
+                </div>
+                <Button
+                  variant="outlined"
+                  size="small"
+                  onClick={() => onApply(Object.fromEntries(counterfactual.changes.map(change => [change.name, change.to])))}
+                >
+                  Apply to sliders
+                </Button>
+              </div>
+            ))}
+          </div>
+        )
+      )}
+    </Box>
+  );
+};
+
+export default CounterfactualExplorer;
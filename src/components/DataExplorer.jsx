@@ -0,0 +1,228 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import * as d3 from 'd3';
+import {
+  Typography,
+  Box,
+  Tabs,
+  Tab,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel
+} from '@mui/material';
+import { Bar } from 'react-chartjs-2';
+import BoxPlot from './BoxPlot';
+import CorrelationHeatmap from './CorrelationHeatmap';
+import ScatterMatrix from './ScatterMatrix';
+import { formatColumnName } from '../utils/schema';
+import {
+  summarizeColumns,
+  classBalance,
+  histogramByClass,
+  boxStatsByClass,
+  correlationColumns,
+  correlationMatrix
+} from '../utils/eda';
+
+const format = (value) => (value === undefined || Number.isNaN(value) ? '–' : Number(value.toFixed(2)));
+
+const DataExplorer = ({ data, target }) => {
+  const [tab, setTab] = useState('summary');
+  const numericColumns = useMemo(
+    () => (data ? data.schema.filter(column => column.type === 'numeric') : []),
+    [data]
+  );
+  const [column, setColumn] = useState('');
+
+  useEffect(() => {
+    setColumn(numericColumns[0]?.name ?? '');
+  }, [numericColumns]);
+
+  const summary = useMemo(() => (data ? summarizeColumns(data) : []), [data]);
+  const balance = useMemo(() => (data && target ? classBalance(data.rows, target) : []), [data, target]);
+  const color = useMemo(
+    () => d3.scaleOrdinal(d3.schemeTableau10).domain(balance.map(entry => entry.value)),
+    [balance]
+  );
+
+  const distributions = useMemo(() => {
+    if (!data || !column) return null;
+    const histogram = histogramByClass(data.rows, column, target);
+    return {
+      histogram: {
+        labels: histogram.edges.map(([x0, x1]) => `${format(x0)}–${format(x1)}`),
+        datasets: histogram.classes.map(({ value, counts }) => ({
+          label: value,
+          data: counts,
+          backgroundColor: color(value)
+        }))
+      },
+      boxes: boxStatsByClass(data.rows, column, target)
+    };
+  }, [data, column, target, color]);
+
+  const correlation = useMemo(() => {
+    if (!data || tab !== 'correlation') return null;
+    const columns = correlationColumns(data.schema);
+    return { columns, matrix: correlationMatrix(data.rows, columns) };
+  }, [data, tab]);
+
+  if (!data) {
+    return null;
+  }
+
+  const totalMissing = d3.sum(summary, entry => entry.missing);
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>Explore the Data</Typography>
+      <Typography variant="body2" className="text-gray-600">
+        {data.name}: {data.rows.length} rows, {data.schema.length} columns, {totalMissing} missing values.
+        {target && ` Classes and colours follow the ${formatColumnName(target)} column.`}
+      </Typography>
+
+      <Tabs value={tab} onChange={(e, value) => setTab(value)} className="mb-4" variant="scrollable">
+        <Tab value="summary" label="Summary" />
+        <Tab value="distributions" label="Distributions" />
+        <Tab value="correlation" label="Correlations" />
+        <Tab value="scatter" label="Scatter matrix" />
+      </Tabs>
+
+      {tab === 'summary' && (
+        <>
+          <div className="overflow-x-auto">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  {['Column', 'Type', 'Count', 'Missing', 'Mean', 'Std', 'Min', 'Q1', 'Median', 'Q3', 'Max', 'Levels'].map(label => (
+                    <TableCell key={label}>{label}</TableCell>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {summary.map(entry => (
+                  <TableRow key={entry.name}>
+                    <TableCell>{formatColumnName(entry.name)}</TableCell>
+                    <TableCell>{entry.type}</TableCell>
+                    <TableCell>{entry.count}</TableCell>
+                    <TableCell className={entry.missing > 0 ? 'text-orange-700 font-semibold' : ''}>
+                      {entry.missing} ({((entry.missing / data.rows.length) * 100).toFixed(1)}%)
+                    </TableCell>
+                    {['mean', 'std', 'min', 'q1', 'median', 'q3', 'max'].map(key => (
+                      <TableCell key={key}>{format(entry[key])}</TableCell>
+                    ))}
+                    <TableCell className="text-xs">
+                      {entry.levels?.map(level => `${level.value}: ${level.count}`).join(', ')}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+
+          {balance.length > 0 && (
+            <div className="mt-4">
+              <Typography variant="h6" gutterBottom>Class Balance</Typography>
+              <div className="h-48 max-w-xl">
+                <Bar
+                  data={{
+                    labels: balance.map(entry => entry.value),
+                    datasets: [{
+                      label: 'Rows',
+                      data: balance.map(entry => entry.count),
+                      backgroundColor: balance.map(entry => color(entry.value))
+                    }]
+                  }}
+                  options={{
+                    indexAxis: 'y',
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                      legend: { display: false },
+                      tooltip: {
+                        callbacks: {
+                          label: (context) => `${context.raw} rows (${((context.raw / data.rows.length) * 100).toFixed(1)}%)`
+                        }
+                      }
+                    }
+                  }}
+                />
+              </div>
+            </div>
+          )}
+        </>
+      )}
+
+      {tab === 'distributions' && (
+        numericColumns.length === 0 ? (
+          <Typography variant="body1" className="text-gray-600">This dataset has no numeric columns.</Typography>
+        ) : (
+          <>
+            <FormControl size="small" className="w-64 mb-4">
+              <InputLabel>Column</InputLabel>
+              <Select label="Column" value={column} onChange={(e) => setColumn(e.target.value)}>
+                {numericColumns.map(option => (
+                  <MenuItem key={option.name} value={option.name}>{formatColumnName(option.name)}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            {distributions && (
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <div className="h-72">
+                  <Bar
+                    data={distributions.histogram}
+                    options={{
+                      responsive: true,
+                      maintainAspectRatio: false,
+                      plugins: {
+                        legend: { position: 'bottom' },
+                        title: { display: true, text: target ? `${formatColumnName(column)} by ${formatColumnName(target)}` : formatColumnName(column) }
+                      },
+                      scales: { y: { title: { display: true, text: 'Rows' } } }
+                    }}
+                  />
+                </div>
+                <BoxPlot boxes={distributions.boxes} label={formatColumnName(column)} color={color} />
+              </div>
+            )}
+          </>
+        )
+      )}
+
+      {tab === 'correlation' && correlation && (
+        <>
+          <Typography variant="body2" className="text-gray-600 mb-2">
+            Pearson correlation between numeric columns and two-level columns coded as 0/1
+            (the second value alphabetically is 1). Blue is positive, red negative.
+          </Typography>
+          <CorrelationHeatmap columns={correlation.columns} matrix={correlation.matrix} />
+        </>
+      )}
+
+      {tab === 'scatter' && (
+        numericColumns.length < 2 ? (
+          <Typography variant="body1" className="text-gray-600">A scatter plot matrix needs at least two numeric columns.</Typography>
+        ) : (
+          <>
+            <div className="flex flex-wrap gap-3 mb-2">
+              {balance.map(entry => (
+                <span key={entry.value} className="flex items-center gap-1 text-sm">
+                  <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: color(entry.value) }} />
+                  {entry.value}
+                </span>
+              ))}
+            </div>
+            <ScatterMatrix rows={data.rows} columns={numericColumns} target={target} color={color} />
+          </>
+        )
+      )}
+    </Box>
+  );
+};
+
+export default DataExplorer;
@@ -0,0 +1,179 @@
+import React, { useRef, useState } from 'react';
+import {
+  Typography,
+  Box,
+  Button,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  FormControlLabel,
+  Checkbox,
+  Chip,
+  Alert
+} from '@mui/material';
+import { parseCsvFile, getColumn, formatColumnName, targetTask, TASKS } from '../utils/schema';
+
+const TYPE_COLORS = {
+  numeric: 'primary',
+  binary: 'secondary',
+  categorical: 'warning'
+};
+
+const DatasetLoader = ({ data, selection, onDataLoaded, onSelectionChange, disabled }) => {
+  const fileInputRef = useRef();
+  const [isDragging, setIsDragging] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadFile = async (file) => {
+    if (!file) return;
+    try {
+      const parsed = await parseCsvFile(file);
+      if (parsed.rows.length === 0 || parsed.schema.length < 2) {
+        throw new Error('The file needs a header row, at least two columns and one data row.');
+      }
+      setError(null);
+      onDataLoaded(parsed);
+    } catch (err) {
+      setError(`Could not load ${file.name}: ${err.message}`);
+    }
+  };
+
+  // Drops are still caught while disabled so the browser does not open the file
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!disabled) setIsDragging(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (disabled) return;
+    loadFile(e.dataTransfer.files[0]);
+  };
+
+  const changeTarget = (target) => {
+    const column = getColumn(data.schema, target);
+    onSelectionChange({
+      target,
+      positiveClass: column.values?.[1] ?? '',
+      features: selection.features.filter(name => name !== target)
+    });
+  };
+
+  const toggleFeature = (name) => {
+    const features = selection.features.includes(name)
+      ? selection.features.filter(feature => feature !== name)
+      : data.schema.map(column => column.name).filter(n => n === name || selection.features.includes(n));
+    onSelectionChange({ ...selection, features });
+  };
+
+  const targetColumn = data && getColumn(data.schema, selection.target);
+
+  return (
+    <Box>
+      <Typography variant="h6" gutterBottom>Dataset</Typography>
+
+      <div
+        onDragOver={handleDragOver}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        className={`p-6 border-2 border-dashed rounded-lg text-center ${isDragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300'}`}
+      >
+        <Typography variant="body1">
+          {data ? `${data.name} · ${data.rows.length} rows · ${data.schema.length} columns` : 'Loading dataset...'}
+        </Typography>
+        <Typography variant="body2" className="text-gray-600">
+          Drop a CSV file here or
+        </Typography>
+        <Button
+          variant="outlined"
+          size="small"
+          className="mt-2"
+          onClick={() => fileInputRef.current.click()}
+          disabled={disabled}
+        >
+          Choose File
+        </Button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,text/csv"
+          hidden
+          onChange={(e) => {
+            loadFile(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+      </div>
+
+      {error && <Alert severity="error" className="mt-3">{error}</Alert>}
+
+      {data && (
+        <>
+          <div className="flex flex-wrap gap-3 mt-4">
+            <FormControl size="small" className="w-64" disabled={disabled}>
+              <InputLabel>Target column</InputLabel>
+              <Select
+                label="Target column"
+                value={selection.target}
+                onChange={(e) => changeTarget(e.target.value)}
+              >
+                {data.schema.map(column => (
+                  <MenuItem key={column.name} value={column.name}>{formatColumnName(column.name)}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            {targetColumn && targetTask(targetColumn) === 'binary' && (
+              <FormControl size="small" className="w-48" disabled={disabled}>
+                <InputLabel>Positive class</InputLabel>
+                <Select
+                  label="Positive class"
+                  value={selection.positiveClass}
+                  onChange={(e) => onSelectionChange({ ...selection, positiveClass: e.target.value })}
+                >
+                  {targetColumn.values.map(value => (
+                    <MenuItem key={value} value={value}>{value}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+          </div>
+          {targetColumn && (
+            <Typography variant="caption" className="block mt-1 text-gray-600">
+              {TASKS[targetTask(targetColumn)]}
+              {targetTask(targetColumn) === 'multiclass' && ` over ${targetColumn.values.length} classes`}
+            </Typography>
+          )}
+
+          <Typography variant="subtitle2" className="mt-4">Feature columns</Typography>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4">
+            {data.schema.filter(column => column.name !== selection.target).map(column => (
+              <div key={column.name} className="flex items-center gap-2">
+                <FormControlLabel
+                  control={
+                    <Checkbox
+                      checked={selection.features.includes(column.name)}
+                      onChange={() => toggleFeature(column.name)}
+                      disabled={disabled}
+                    />
+                  }
+                  label={formatColumnName(column.name)}
+                />
+                <Chip label={column.type} size="small" color={TYPE_COLORS[column.type]} variant="outlined" />
+                {column.missing > 0 && (
+                  <Typography variant="caption" className="text-gray-500">{column.missing} missing</Typography>
+                )}
+              </div>
+            ))}
+          </div>
+          {selection.features.length === 0 && (
+            <Alert severity="warning" className="mt-3">Select at least one feature column to train.</Alert>
+          )}
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default DatasetLoader;
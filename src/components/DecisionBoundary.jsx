@@ -0,0 +1,170 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import * as d3 from 'd3';
+import { Typography, Box, Select, MenuItem, FormControl, InputLabel, CircularProgress, Alert } from '@mui/material';
+import { formatColumnName } from '../utils/schema';
+import { createRng, shuffle } from '../utils/splits';
+import { decisionGrid } from '../utils/embedding';
+
+const WIDTH = 640;
+const HEIGHT = 460;
+const MARGIN = { top: 16, right: 16, bottom: 40, left: 56 };
+const MAX_OVERLAY_ROWS = 600;
+
+// Model output over two numeric features with every other feature held at
+// the slider inputs, with a sample of labelled rows drawn on top
+const DecisionBoundary = ({ model, schema, labelled, inputs, threshold, classColor }) => {
+  const svgRef = useRef();
+  const numericColumns = useMemo(() => schema.columns.filter(column => column.type === 'numeric'), [schema]);
+  const [xName, setXName] = useState(numericColumns[0]?.name ?? '');
+  const [yName, setYName] = useState(numericColumns[1]?.name ?? '');
+  const [grid, setGrid] = useState(null);
+  const [error, setError] = useState(null);
+  const task = schema.task ?? 'binary';
+
+  const xColumn = numericColumns.find(column => column.name === xName);
+  const yColumn = numericColumns.find(column => column.name === yName);
+
+  useEffect(() => {
+    if (!xColumn || !yColumn || xColumn === yColumn) {
+      setGrid(null);
+      return undefined;
+    }
+    let cancelled = false;
+    setGrid(null);
+    setError(null);
+    decisionGrid(model, schema.preprocessor, inputs, xColumn, yColumn).then(result => {
+      if (!cancelled) setGrid(result);
+    }).catch(err => {
+      if (!cancelled) setError(`Could not compute the decision boundary: ${err.message}`);
+    });
+    return () => { cancelled = true; };
+  }, [model, schema, inputs, xColumn, yColumn]);
+
+  const overlay = useMemo(() => {
+    const sample = labelled.length > MAX_OVERLAY_ROWS ? shuffle(labelled, createRng(7)).slice(0, MAX_OVERLAY_ROWS) : labelled;
+    return sample.filter(({ row }) => Number.isFinite(Number(row[xName])) && Number.isFinite(Number(row[yName])));
+  }, [labelled, xName, yName]);
+
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    if (!grid) return;
+
+    const x = d3.scaleLinear().domain([xColumn.min, xColumn.max]).range([MARGIN.left, WIDTH - MARGIN.right]);
+    const y = d3.scaleLinear().domain([yColumn.min, yColumn.max]).range([HEIGHT - MARGIN.bottom, MARGIN.top]);
+    const cellWidth = (WIDTH - MARGIN.left - MARGIN.right) / (grid.xs.length - 1);
+    const cellHeight = (HEIGHT - MARGIN.top - MARGIN.bottom) / (grid.ys.length - 1);
+
+    // Binary outputs diverge around the threshold; multi-class cells take the
+    // predicted class colour, paler where the model is less sure
+    let cellFill;
+    let cellOpacity = () => 0.8;
+    if (task === 'binary') {
+      cellFill = d3.scaleDiverging(d3.interpolateRdBu).domain([0, threshold, 1]);
+    } else if (task === 'multiclass') {
+      cellFill = value => classColor(d3.maxIndex(value));
+      cellOpacity = value => 0.15 + 0.65 * d3.max(value);
+    } else {
+      const targetValues = labelled.map(entry => entry.label);
+      cellFill = d3.scaleSequential(d3.interpolateViridis).domain(d3.extent([...targetValues, ...grid.values]));
+    }
+
+    const cells = grid.values.map((value, i) => ({
+      x: grid.xs[i % grid.xs.length],
+      y: grid.ys[Math.floor(i / grid.xs.length)],
+      value
+    }));
+
+    svg.append("g").selectAll("rect")
+      .data(cells)
+      .enter()
+      .append("rect")
+      .attr("x", d => x(d.x) - cellWidth / 2)
+      .attr("y", d => y(d.y) - cellHeight / 2)
+      .attr("width", cellWidth + 0.5)
+      .attr("height", cellHeight + 0.5)
+      .style("fill", d => cellFill(d.value))
+      .style("fill-opacity", d => cellOpacity(d.value));
+
+    // Rows use the same scale as the cells, so a dot that stands out is one
+    // the model gets wrong
+    const pointFill = task === 'multiclass' ? classColor : cellFill;
+    svg.append("g").selectAll("circle")
+      .data(overlay)
+      .enter()
+      .append("circle")
+      .attr("cx", d => x(Number(d.row[xName])))
+      .attr("cy", d => y(Number(d.row[yName])))
+      .attr("r", 3)
+      .style("fill", d => pointFill(d.label))
+      .style("stroke", "white")
+      .style("stroke-width", 0.75);
+
+    svg.append("path")
+      .attr("d", d3.symbol(d3.symbolStar, 260))
+      .attr("transform", `translate(${x(inputs[xName])},${y(inputs[yName])})`)
+      .style("fill", "#facc15")
+      .style("stroke", "black")
+      .style("stroke-width", 1.5)
+      .append("title")
+      .text('Current slider input');
+
+    svg.append("g")
+      .attr("transform", `translate(0,${HEIGHT - MARGIN.bottom})`)
+      .call(d3.axisBottom(x).ticks(6));
+    svg.append("g")
+      .attr("transform", `translate(${MARGIN.left},0)`)
+      .call(d3.axisLeft(y).ticks(6));
+    svg.append("text")
+      .attr("x", (MARGIN.left + WIDTH - MARGIN.right) / 2)
+      .attr("y", HEIGHT - 6)
+      .attr("text-anchor", "middle")
+      .style("font-size", "12px")
+      .text(formatColumnName(xName));
+    svg.append("text")
+      .attr("transform", `translate(14,${(MARGIN.top + HEIGHT - MARGIN.bottom) / 2}) rotate(-90)`)
+      .attr("text-anchor", "middle")
+      .style("font-size", "12px")
+      .text(formatColumnName(yName));
+  }, [grid, overlay, threshold, classColor]);
+
+  if (numericColumns.length < 2) {
+    return (
+      <Typography variant="body2" className="text-gray-600">
+        A decision boundary needs at least two numeric features.
+      </Typography>
+    );
+  }
+
+  return (
+    <Box className="mt-2">
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        {[['X axis', xName, setXName], ['Y axis', yName, setYName]].map(([label, value, setValue]) => (
+          <FormControl key={label} size="small" className="w-56">
+            <InputLabel>{label}</InputLabel>
+            <Select label={label} value={value} onChange={(e) => setValue(e.target.value)}>
+              {numericColumns.map(column => (
+                <MenuItem key={column.name} value={column.name}>{formatColumnName(column.name)}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        ))}
+        {!grid && !error && xName !== yName && <CircularProgress size={20} />}
+      </div>
+      {error && <Alert severity="error" className="mb-3">{error}</Alert>}
+      {xName === yName ? (
+        <Typography variant="body2" className="text-gray-600">Pick two different features.</Typography>
+      ) : (
+        <svg ref={svgRef} viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full max-w-3xl border rounded-lg bg-white" />
+      )}
+      <Typography variant="caption" className="block text-gray-500 mt-1">
+        {task === 'binary' && `Red → blue: P(${schema.positiveClass}), white at the ${threshold.toFixed(2)} threshold. `}
+        {task === 'multiclass' && 'Cells take the predicted class colour, paler where the model is less confident. '}
+        {task === 'regression' && `Colour: predicted ${formatColumnName(schema.target)}, dots coloured by the actual value. `}
+        All other features stay at the current inputs, so the boundary moves with the sliders.
+      </Typography>
+    </Box>
+  );
+};
+
+export default DecisionBoundary;
@@ -0,0 +1,60 @@
+import React, { useEffect, useState } from 'react';
+import * as tf from '@tensorflow/tfjs';
+import { Typography, Box, Select, MenuItem, FormControl, InputLabel, Alert } from '@mui/material';
+import { BACKENDS } from '../utils/inference';
+
+const MEMORY_POLL_MS = 1000;
+
+const megabytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+const Stat = ({ label, value }) => (
+  <div className="p-3 bg-gray-50 rounded-lg">
+    <div className="text-xs text-gray-600">{label}</div>
+    <div className="text-lg font-semibold">{value}</div>
+  </div>
+);
+
+// Main-thread TensorFlow.js state: live tensor count and memory (a steady
+// count while moving sliders means nothing leaks), backend and how long each
+// live prediction takes
+const DiagnosticsPanel = ({ backend, onBackendChange, latencies, error }) => {
+  const [memory, setMemory] = useState(() => tf.memory());
+
+  useEffect(() => {
+    const timer = setInterval(() => setMemory(tf.memory()), MEMORY_POLL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const last = latencies[latencies.length - 1];
+  const mean = latencies.length > 0 ? latencies.reduce((sum, value) => sum + value, 0) / latencies.length : undefined;
+  const format = (ms) => (ms === undefined ? '–' : `${ms.toFixed(1)} ms`);
+
+  return (
+    <Box>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <Typography variant="h6">Diagnostics</Typography>
+        <FormControl size="small" className="w-56">
+          <InputLabel>Inference backend</InputLabel>
+          <Select label="Inference backend" value={backend} onChange={(e) => onBackendChange(e.target.value)}>
+            {Object.entries(BACKENDS).map(([key, label]) => (
+              <MenuItem key={key} value={key}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </div>
+      {error && <Alert severity="warning" className="mb-3">{error}</Alert>}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+        <Stat label="Tensors" value={memory.numTensors} />
+        <Stat label="Data buffers" value={memory.numDataBuffers} />
+        <Stat label="Tensor memory" value={`${megabytes(memory.numBytes)}${memory.unreliable ? ' (approx.)' : ''}`} />
+        <Stat label="Last prediction" value={format(last)} />
+        <Stat label={`Mean of last ${latencies.length}`} value={format(mean)} />
+      </div>
+      <Typography variant="caption" className="block text-gray-500 mt-1">
+        Figures cover the page only; training runs in a separate worker with its own memory.
+      </Typography>
+    </Box>
+  );
+};
+
+export default DiagnosticsPanel;
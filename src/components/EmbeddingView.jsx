@@ -0,0 +1,305 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import * as d3 from 'd3';
+import {
+  Typography,
+  Box,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  ToggleButton,
+  ToggleButtonGroup,
+  LinearProgress,
+  Alert,
+  FormControlLabel,
+  Switch
+} from '@mui/material';
+import DecisionBoundary from './DecisionBoundary';
+import { describeNetwork } from '../utils/modelBuilder';
+import { readLabel } from '../utils/dataPreparation';
+import { predictedClasses } from '../utils/metrics';
+import { formatColumnName } from '../utils/schema';
+import { createRng, shuffle } from '../utils/splits';
+import {
+  PROJECTIONS,
+  TSNE_MAX_ROWS,
+  projectThroughNetwork,
+  layerActivation,
+  pca,
+  tsne,
+  placeByNeighbours
+} from '../utils/embedding';
+
+const WIDTH = 640;
+const HEIGHT = 460;
+const MARGIN = 24;
+
+// Every labelled row passed through the network, one hidden layer's
+// activations projected to 2D. Nearby points are rows the network sees as
+// similar at that depth.
+const EmbeddingView = ({ model, schema, rows, inputs, threshold }) => {
+  const svgRef = useRef();
+  const [layerIndex, setLayerIndex] = useState(0);
+  const [method, setMethod] = useState('pca');
+  const [colorBy, setColorBy] = useState('label');
+  const [computed, setComputed] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [current, setCurrent] = useState(null);
+  const [showBoundary, setShowBoundary] = useState(false);
+
+  const task = schema?.task ?? 'binary';
+  // Dense layers except the output, indexed like getDenseLayers
+  const hiddenLayers = useMemo(() => describeNetwork(model).slice(1, -1), [model]);
+
+  useEffect(() => {
+    setLayerIndex(Math.max(0, hiddenLayers.length - 1));
+  }, [hiddenLayers]);
+  // A smaller retrained model can leave the previous index out of range
+  const activeLayer = Math.min(layerIndex, Math.max(0, hiddenLayers.length - 1));
+  // A layout computed for a previous model is never drawn or probed with the
+  // new one, whose layers and outputs may differ
+  const projection = computed?.model === model ? computed : null;
+
+  const labelled = useMemo(() => {
+    if (!schema || !rows) return [];
+    return rows
+      .map(row => ({ row, label: readLabel(schema, row) }))
+      .filter(entry => entry.label !== null);
+  }, [schema, rows]);
+
+  useEffect(() => {
+    if (!model || !schema || hiddenLayers.length === 0 || labelled.length < 3) {
+      setComputed(null);
+      return undefined;
+    }
+    let cancelled = false;
+
+    const run = async () => {
+      setProgress(0);
+      setError(null);
+      const sample = method === 'tsne' && labelled.length > TSNE_MAX_ROWS
+        ? shuffle(labelled, createRng(42)).slice(0, TSNE_MAX_ROWS)
+        : labelled;
+      const { activations, outputs } = await projectThroughNetwork(
+        model, schema.preprocessor, sample.map(entry => entry.row), activeLayer
+      );
+      if (cancelled) return;
+
+      let points;
+      let project = null;
+      let explained = null;
+      if (method === 'pca') {
+        ({ points, project, explained } = pca(activations));
+      } else {
+        points = await tsne(activations, { onProgress: setProgress, isCancelled: () => cancelled });
+      }
+      if (cancelled || !points) return;
+      setComputed({ model, layer: activeLayer, sample, activations, outputs, points, project, explained });
+      setProgress(null);
+    };
+
+    run().catch(err => {
+      if (cancelled) return;
+      setError(`Could not project the layer: ${err.message}`);
+      setProgress(null);
+    });
+    return () => { cancelled = true; };
+  }, [model, schema, labelled, activeLayer, method, hiddenLayers]);
+
+  // The slider input follows the live inputs without recomputing the layout
+  useEffect(() => {
+    if (!projection) {
+      setCurrent(null);
+      return undefined;
+    }
+    let cancelled = false;
+    layerActivation(model, schema.preprocessor, inputs, projection.layer).then(vector => {
+      if (cancelled) return;
+      setCurrent(projection.project
+        ? projection.project(vector)
+        : placeByNeighbours(projection.activations, projection.points, vector));
+    }).catch(() => {
+      if (!cancelled) setCurrent(null);
+    });
+    return () => { cancelled = true; };
+  }, [projection, inputs]);
+
+  const classes = task === 'binary' ? [schema?.negativeClass, schema?.positiveClass] : schema?.classes || [];
+  const classColor = useMemo(() => d3.scaleOrdinal(d3.schemeTableau10).domain(d3.range(classes.length)), [classes.length]);
+
+  const points = useMemo(() => {
+    if (!projection) return [];
+    const predicted = task === 'multiclass'
+      ? predictedClasses(projection.outputs)
+      : projection.outputs.map(output => (output > threshold ? 1 : 0));
+    return projection.points.map(([x, y], i) => ({
+      x,
+      y,
+      label: projection.sample[i].label,
+      output: projection.outputs[i],
+      predicted: predicted[i],
+      misclassified: task !== 'regression' && predicted[i] !== projection.sample[i].label
+    }));
+  }, [projection, threshold, task]);
+
+  const valueScale = useMemo(() => {
+    if (task !== 'regression' || points.length === 0) return null;
+    return d3.scaleSequential(d3.interpolateViridis)
+      .domain(d3.extent([...points.map(p => p.label), ...points.map(p => p.output)]));
+  }, [points, task]);
+
+  const fill = (point) => {
+    if (task === 'regression') return valueScale(colorBy === 'label' ? point.label : point.output);
+    if (colorBy === 'label') return classColor(point.label);
+    if (task === 'multiclass') return classColor(point.predicted);
+    return d3.interpolateRdBu(point.output);
+  };
+  // Multi-class predictions fade with their confidence
+  const opacity = (point) => (task === 'multiclass' && colorBy === 'prediction' ? 0.2 + 0.7 * d3.max(point.output) : 0.7);
+
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    if (points.length === 0) return;
+
+    const allPoints = current ? [...points, { x: current[0], y: current[1] }] : points;
+    const x = d3.scaleLinear().domain(d3.extent(allPoints, p => p.x)).nice().range([MARGIN, WIDTH - MARGIN]);
+    const y = d3.scaleLinear().domain(d3.extent(allPoints, p => p.y)).nice().range([HEIGHT - MARGIN, MARGIN]);
+
+    svg.append("rect")
+      .attr("width", WIDTH)
+      .attr("height", HEIGHT)
+      .style("fill", "white");
+
+    const describe = (p) => {
+      if (task === 'regression') return `Actual ${p.label.toFixed(2)} · predicted ${p.output.toFixed(2)}`;
+      if (task === 'multiclass') return `${classes[p.label]} · predicted ${classes[p.predicted]} (${(d3.max(p.output) * 100).toFixed(1)}%)`;
+      return `${classes[p.label]} · P(${schema.positiveClass}) ${(p.output * 100).toFixed(1)}%`;
+    };
+
+    // Correct rows as dots, misclassified rows as crosses drawn on top
+    const correct = points.filter(p => !p.misclassified);
+    const wrong = points.filter(p => p.misclassified);
+
+    svg.append("g").selectAll("circle")
+      .data(correct)
+      .enter()
+      .append("circle")
+      .attr("cx", p => x(p.x))
+      .attr("cy", p => y(p.y))
+      .attr("r", 3)
+      .style("fill", fill)
+      .style("fill-opacity", opacity)
+      .append("title")
+      .text(describe);
+
+    svg.append("g").selectAll("path")
+      .data(wrong)
+      .enter()
+      .append("path")
+      .attr("d", d3.symbol(d3.symbolX, 40))
+      .attr("transform", p => `translate(${x(p.x)},${y(p.y)})`)
+      .style("stroke", fill)
+      .style("stroke-width", 2)
+      .append("title")
+      .text(p => `Misclassified: ${describe(p)}`);
+
+    if (current) {
+      svg.append("path")
+        .attr("d", d3.symbol(d3.symbolStar, 260))
+        .attr("transform", `translate(${x(current[0])},${y(current[1])})`)
+        .style("fill", "#facc15")
+        .style("stroke", "black")
+        .style("stroke-width", 1.5)
+        .append("title")
+        .text('Current slider input');
+    }
+  }, [points, current, colorBy, valueScale, classColor]);
+
+  if (!model || !schema) {
+    return (
+      <Typography variant="body1" className="text-gray-600">
+        The embedding view appears once a model has been trained.
+      </Typography>
+    );
+  }
+  if (hiddenLayers.length === 0) {
+    return (
+      <Typography variant="body1" className="text-gray-600">
+        This network has no hidden layer to project; add one in the architecture builder.
+      </Typography>
+    );
+  }
+
+  const misclassifiedCount = points.filter(p => p.misclassified).length;
+
+  return (
+    <Box>
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <FormControl size="small" className="w-56">
+          <InputLabel>Layer</InputLabel>
+          <Select label="Layer" value={activeLayer} onChange={(e) => setLayerIndex(e.target.value)}>
+            {hiddenLayers.map((layer, i) => (
+              <MenuItem key={layer.name} value={i}>{layer.name} ({layer.nodes} units)</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <ToggleButtonGroup size="small" exclusive value={method} onChange={(e, value) => value && setMethod(value)}>
+          {Object.entries(PROJECTIONS).map(([key, label]) => (
+            <ToggleButton key={key} value={key}>{label}</ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+        <ToggleButtonGroup size="small" exclusive value={colorBy} onChange={(e, value) => value && setColorBy(value)}>
+          <ToggleButton value="label">True label</ToggleButton>
+          <ToggleButton value="prediction">{task === 'binary' ? 'Probability' : 'Prediction'}</ToggleButton>
+        </ToggleButtonGroup>
+      </div>
+
+      {error && <Alert severity="error" className="mb-2">{error}</Alert>}
+      {progress !== null && <LinearProgress variant="determinate" value={progress * 100} className="mb-2" />}
+
+      <svg ref={svgRef} viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full max-w-3xl border rounded-lg bg-white" />
+
+      <div className="flex flex-wrap items-center gap-3 mt-2 text-sm">
+        {task !== 'regression' && (colorBy === 'label' || task === 'multiclass') && classes.map((name, i) => (
+          <span key={name} className="flex items-center gap-1">
+            <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: classColor(i) }} />
+            {name}
+          </span>
+        ))}
+        {task === 'binary' && colorBy === 'prediction' && (
+          <span>Red → blue: P({schema.positiveClass}) from 0 to 1</span>
+        )}
+        {task === 'regression' && (
+          <span>Colour: {colorBy === 'label' ? 'actual' : 'predicted'} {formatColumnName(schema.target)}, dark → light = low → high</span>
+        )}
+        <span>★ current input</span>
+        {task !== 'regression' && <span>✕ misclassified ({misclassifiedCount} of {points.length})</span>}
+      </div>
+      <Typography variant="caption" className="block text-gray-500 mt-1">
+        {method === 'pca' && projection?.explained && `The two axes explain ${(projection.explained[0] * 100).toFixed(1)}% and ${(projection.explained[1] * 100).toFixed(1)}% of the layer's variance. `}
+        {method === 'tsne' && `t-SNE keeps neighbourhoods, not distances, and runs on at most ${TSNE_MAX_ROWS} sampled rows; the current input is placed among its nearest rows. `}
+        {task === 'binary' && `Misclassified at threshold ${threshold.toFixed(2)}.`}
+      </Typography>
+
+      <FormControlLabel
+        className="mt-3"
+        control={<Switch checked={showBoundary} onChange={(e) => setShowBoundary(e.target.checked)} />}
+        label="Show a decision boundary over two raw features"
+      />
+      {showBoundary && (
+        <DecisionBoundary
+          model={model}
+          schema={schema}
+          labelled={labelled}
+          inputs={inputs}
+          threshold={threshold}
+          classColor={classColor}
+        />
+      )}
+    </Box>
+  );
+};
+
+export default EmbeddingView;
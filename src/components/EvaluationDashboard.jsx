@@ -0,0 +1,175 @@
+import React, { useMemo } from 'react';
+import { Typography, Box, Slider } from '@mui/material';
+import { Line } from 'react-chartjs-2';
+import {
+  confusionMatrix,
+  rocCurve,
+  precisionRecallCurve,
+  calibrationCurve,
+  logLoss
+} from '../utils/metrics';
+
+const curveOptions = (title, xLabel, yLabel) => ({
+  responsive: true,
+  maintainAspectRatio: false,
+  animation: false,
+  plugins: {
+    legend: { position: 'bottom' },
+    title: { display: true, text: title }
+  },
+  scales: {
+    x: { type: 'linear', min: 0, max: 1, title: { display: true, text: xLabel } },
+    y: { min: 0, max: 1, title: { display: true, text: yLabel } }
+  }
+});
+
+const diagonal = {
+  label: 'Reference',
+  data: [{ x: 0, y: 0 }, { x: 1, y: 1 }],
+  borderColor: 'rgb(180, 180, 180)',
+  borderDash: [6, 4],
+  pointRadius: 0
+};
+
+const MatrixCell = ({ label, value, total, highlight }) => (
+  <div className={`p-4 rounded-lg text-center ${highlight ? 'bg-green-100' : 'bg-red-50'}`}>
+    <div className="text-2xl font-semibold">{value}</div>
+    <div className="text-xs text-gray-600">{label} · {total ? ((value / total) * 100).toFixed(1) : 0}%</div>
+  </div>
+);
+
+const EvaluationDashboard = ({ validation, threshold, onThresholdChange, classNames }) => {
+  const curves = useMemo(() => {
+    if (!validation) return null;
+    const { probabilities, labels } = validation;
+    return {
+      roc: rocCurve(probabilities, labels),
+      pr: precisionRecallCurve(probabilities, labels),
+      calibration: calibrationCurve(probabilities, labels),
+      logLoss: logLoss(probabilities, labels)
+    };
+  }, [validation]);
+
+  if (!validation) {
+    return (
+      <Box>
+        <Typography variant="h4" gutterBottom>Evaluation</Typography>
+        <Typography variant="body1" className="text-gray-600">
+          The evaluation dashboard appears once a model has finished training.
+        </Typography>
+      </Box>
+    );
+  }
+
+  const matrix = confusionMatrix(validation.probabilities, validation.labels, threshold);
+  const total = validation.labels.length;
+  const { positive = 'Positive', negative = 'Negative' } = classNames || {};
+
+  // The ROC point closest to the current threshold
+  const rocMarker = curves.roc.points.reduce((best, point) =>
+    Math.abs(point.threshold - threshold) < Math.abs(best.threshold - threshold) ? point : best
+  );
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>Evaluation</Typography>
+
+      <Typography gutterBottom>Decision threshold: {threshold.toFixed(2)}</Typography>
+      <Slider
+        value={threshold}
+        onChange={(e, value) => onThresholdChange(value)}
+        min={0.01}
+        max={0.99}
+        step={0.01}
+        valueLabelDisplay="auto"
+      />
+      <Typography variant="body2" className="text-gray-600 mb-4">
+        Predictions above the threshold are classified as {positive}. The threshold re-scores the
+        validation set below and drives the prediction card.
+      </Typography>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-4">
+        <div>
+          <Typography variant="h6" gutterBottom>Confusion Matrix</Typography>
+          <div className="grid grid-cols-[auto_1fr_1fr] gap-2 items-center text-sm">
+            <div />
+            <div className="text-center text-gray-600">Predicted {positive}</div>
+            <div className="text-center text-gray-600">Predicted {negative}</div>
+            <div className="text-gray-600">Actual {positive}</div>
+            <MatrixCell label="True positive" value={matrix.tp} total={total} highlight />
+            <MatrixCell label="False negative" value={matrix.fn} total={total} />
+            <div className="text-gray-600">Actual {negative}</div>
+            <MatrixCell label="False positive" value={matrix.fp} total={total} />
+            <MatrixCell label="True negative" value={matrix.tn} total={total} highlight />
+          </div>
+        </div>
+        <div className="md:col-span-2 flex flex-col justify-center gap-1">
+          <Typography variant="subtitle1">ROC AUC: {curves.roc.auc.toFixed(3)}</Typography>
+          <Typography variant="subtitle1">PR AUC: {curves.pr.auc.toFixed(3)}</Typography>
+          <Typography variant="subtitle1">Log-loss: {curves.logLoss.toFixed(4)}</Typography>
+          <Typography variant="body2" className="text-gray-600">
+            Computed on {total} validation rows. AUC and log-loss do not depend on the threshold.
+          </Typography>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-6">
+        <div className="h-72">
+          <Line
+            data={{
+              datasets: [
+                {
+                  label: `ROC (AUC ${curves.roc.auc.toFixed(3)})`,
+                  data: curves.roc.points.map(p => ({ x: p.fpr, y: p.tpr })),
+                  borderColor: 'rgb(54, 162, 235)',
+                  pointRadius: 0
+                },
+                {
+                  label: 'Current threshold',
+                  data: [{ x: rocMarker.fpr, y: rocMarker.tpr }],
+                  borderColor: 'rgb(255, 99, 132)',
+                  backgroundColor: 'rgb(255, 99, 132)',
+                  pointRadius: 6,
+                  showLine: false
+                },
+                diagonal
+              ]
+            }}
+            options={curveOptions('ROC Curve', 'False positive rate', 'True positive rate')}
+          />
+        </div>
+        <div className="h-72">
+          <Line
+            data={{
+              datasets: [{
+                label: `Precision-recall (AUC ${curves.pr.auc.toFixed(3)})`,
+                data: curves.pr.points.map(p => ({ x: p.recall, y: p.precision })),
+                borderColor: 'rgb(153, 102, 255)',
+                pointRadius: 0
+              }]
+            }}
+            options={curveOptions('Precision-Recall Curve', 'Recall', 'Precision')}
+          />
+        </div>
+        <div className="h-72">
+          <Line
+            data={{
+              datasets: [
+                {
+                  label: 'Model',
+                  data: curves.calibration.map(b => ({ x: b.meanPredicted, y: b.fractionPositive })),
+                  borderColor: 'rgb(75, 192, 192)',
+                  backgroundColor: 'rgb(75, 192, 192)'
+                },
+                { ...diagonal, label: 'Perfectly calibrated' }
+              ]
+            }}
+            options={curveOptions('Calibration (Reliability)', 'Mean predicted probability', 'Observed positive rate')}
+          />
+        </div>
+      </div>
+    </Box>
+  );
+};
+
+export default EvaluationDashboard;
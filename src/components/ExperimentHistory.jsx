@@ -0,0 +1,248 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Typography,
+  Box,
+  Button,
+  Alert,
+  Checkbox,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableSortLabel
+} from '@mui/material';
+import { Line } from 'react-chartjs-2';
+import {
+  listExperiments,
+  deleteExperiments,
+  clearExperiments,
+  describeParams,
+  experimentsToRows,
+  experimentsToCsv
+} from '../utils/experimentStore';
+import { downloadText, downloadJson } from '../utils/download';
+
+const COLORS = [
+  'rgb(54, 162, 235)',
+  'rgb(255, 99, 132)',
+  'rgb(75, 192, 192)',
+  'rgb(255, 159, 64)',
+  'rgb(153, 102, 255)',
+  'rgb(201, 203, 207)',
+  'rgb(255, 205, 86)'
+];
+
+const COLUMNS = [
+  { key: 'validation.accuracy', label: 'Val acc.' },
+  { key: 'validation.f1Score', label: 'Val F1' },
+  { key: 'validation.balancedAccuracy', label: 'Val bal. acc.' },
+  { key: 'validation.auc', label: 'Val AUC' },
+  { key: 'validation.logLoss', label: 'Val log-loss' },
+  { key: 'validation.rmse', label: 'Val RMSE' },
+  { key: 'validation.r2', label: 'Val R²' },
+  { key: 'test.accuracy', label: 'Test acc.' },
+  { key: 'test.auc', label: 'Test AUC' }
+];
+
+const readKey = (experiment, key) => {
+  if (key === 'createdAt') return experiment.createdAt;
+  const [part, metric] = key.split('.');
+  return experiment[part]?.[metric];
+};
+
+const format = (value, key) => {
+  if (value === undefined) return '–';
+  return ['logLoss', 'auc', 'rmse', 'r2'].some(suffix => key.endsWith(suffix))
+    ? value.toFixed(3)
+    : `${(value * 100).toFixed(1)}%`;
+};
+
+const ExperimentHistory = ({ refreshKey, recordError, onDismissRecordError }) => {
+  const [experiments, setExperiments] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [sort, setSort] = useState({ key: 'createdAt', direction: 'desc' });
+  const [error, setError] = useState(null);
+
+  const refresh = async () => {
+    try {
+      const stored = await listExperiments();
+      setExperiments(stored);
+      // Overlay the latest run's models by default
+      setSelected(stored.filter(experiment => experiment.runId === stored[0]?.runId).map(experiment => experiment.id));
+    } catch (err) {
+      setError(`Could not read the experiment history: ${err.message}`);
+    }
+  };
+
+  useEffect(() => {
+    refresh();
+  }, [refreshKey]);
+
+  const sortedExperiments = useMemo(() => {
+    const sign = sort.direction === 'asc' ? 1 : -1;
+    return [...experiments].sort((a, b) => {
+      // Parts without data (e.g. no test split) sort last
+      const x = readKey(a, sort.key) ?? -Infinity;
+      const y = readKey(b, sort.key) ?? -Infinity;
+      return (x > y ? sign : x < y ? -sign : 0) || a.order - b.order;
+    });
+  }, [experiments, sort]);
+
+  const toggleSort = (key) => setSort(prev => ({
+    key,
+    direction: prev.key === key && prev.direction === 'desc' ? 'asc' : 'desc'
+  }));
+
+  const toggleSelected = (id) => setSelected(prev =>
+    (prev.includes(id) ? prev.filter(other => other !== id) : [...prev, id])
+  );
+
+  const handleDelete = async (ids) => {
+    try {
+      await (ids ? deleteExperiments(ids) : clearExperiments());
+      await refresh();
+    } catch (err) {
+      setError(`Could not delete experiments: ${err.message}`);
+    }
+  };
+
+  // Models trained epoch by epoch get their validation loss curve (training
+  // loss when there was no validation part); the others a flat reference line
+  const chartData = useMemo(() => {
+    const chosen = experiments.filter(experiment => selected.includes(experiment.id));
+    const maxEpochs = Math.max(1, ...chosen.map(experiment => experiment.history.length));
+    return {
+      datasets: chosen.map((experiment, index) => {
+        const color = COLORS[index % COLORS.length];
+        const label = `${experiment.label} (${new Date(experiment.createdAt).toLocaleTimeString()})`;
+        if (experiment.history.length > 0) {
+          return {
+            label,
+            data: experiment.history.map(entry => ({ x: entry.epoch + 1, y: entry.valLoss ?? entry.loss })),
+            borderColor: color,
+            pointRadius: 0,
+            tension: 0.1
+          };
+        }
+        const loss = experiment.validation?.logLoss;
+        return {
+          label,
+          data: loss === undefined ? [] : [{ x: 1, y: loss }, { x: maxEpochs, y: loss }],
+          borderColor: color,
+          borderDash: [6, 4],
+          pointRadius: 0
+        };
+      })
+    };
+  }, [experiments, selected]);
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    plugins: {
+      legend: { position: 'bottom' },
+      title: { display: true, text: 'Validation loss by epoch' }
+    },
+    scales: {
+      x: { type: 'linear', min: 1, title: { display: true, text: 'Epoch' } },
+      y: { min: 0, title: { display: true, text: 'Loss' } }
+    }
+  };
+
+  const header = (key, label) => (
+    <TableCell key={key}>
+      <TableSortLabel
+        active={sort.key === key}
+        direction={sort.key === key ? sort.direction : 'desc'}
+        onClick={() => toggleSort(key)}
+      >
+        {label}
+      </TableSortLabel>
+    </TableCell>
+  );
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>Experiments</Typography>
+      <Typography variant="body2" className="text-gray-600 mb-3">
+        Every training run is recorded in this browser together with the baselines trained on the same split.
+        Metrics use a 0.5 threshold; tick rows to overlay their learning curves.
+      </Typography>
+
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <Button
+          variant="outlined"
+          onClick={() => downloadText('experiments.csv', experimentsToCsv(sortedExperiments), 'text/csv')}
+          disabled={experiments.length === 0}
+        >
+          Export CSV
+        </Button>
+        <Button
+          variant="outlined"
+          onClick={() => downloadJson('experiments.json', experimentsToRows(sortedExperiments))}
+          disabled={experiments.length === 0}
+        >
+          Export JSON
+        </Button>
+        <Button color="error" onClick={() => handleDelete(selected)} disabled={selected.length === 0}>
+          Delete selected
+        </Button>
+        <Button color="error" onClick={() => handleDelete(null)} disabled={experiments.length === 0}>
+          Clear history
+        </Button>
+      </div>
+
+      {error && <Alert severity="error" className="mb-3">{error}</Alert>}
+      {recordError && <Alert severity="error" className="mb-3" onClose={onDismissRecordError}>{recordError}</Alert>}
+
+      {experiments.length === 0 ? (
+        <Typography variant="body1" className="text-gray-600">No experiments recorded yet.</Typography>
+      ) : (
+        <>
+          <div className="overflow-x-auto max-h-96">
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell padding="checkbox" />
+                  {header('createdAt', 'Run')}
+                  <TableCell>Model</TableCell>
+                  <TableCell>Parameters</TableCell>
+                  {COLUMNS.map(column => header(column.key, column.label))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {sortedExperiments.map(experiment => (
+                  <TableRow key={experiment.id} selected={selected.includes(experiment.id)}>
+                    <TableCell padding="checkbox">
+                      <Checkbox
+                        size="small"
+                        checked={selected.includes(experiment.id)}
+                        onChange={() => toggleSelected(experiment.id)}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      {new Date(experiment.createdAt).toLocaleString()}
+                      <div className="text-xs text-gray-500">{experiment.dataset}</div>
+                    </TableCell>
+                    <TableCell>{experiment.label}</TableCell>
+                    <TableCell className="text-xs">{describeParams(experiment)}</TableCell>
+                    {COLUMNS.map(column => (
+                      <TableCell key={column.key}>{format(readKey(experiment, column.key), column.key)}</TableCell>
+                    ))}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+          <div className="h-80 mt-4">
+            <Line data={chartData} options={chartOptions} />
+          </div>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default ExperimentHistory;
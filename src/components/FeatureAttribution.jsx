@@ -0,0 +1,86 @@
+import React from 'react';
+import { Typography, Box, Select, MenuItem, FormControl, InputLabel, Alert } from '@mui/material';
+import { Bar } from 'react-chartjs-2';
+import { ATTRIBUTION_METHODS } from '../utils/attribution';
+import { formatColumnName } from '../utils/schema';
+
+const POSITIVE_COLOR = 'rgba(76, 175, 80, 0.8)';
+const NEGATIVE_COLOR = 'rgba(244, 67, 54, 0.8)';
+
+const FeatureAttribution = ({ attribution, error, method, onMethodChange, classNames, task = 'binary' }) => {
+  const { positive = 'Positive', negative = 'Negative' } = classNames || {};
+  const columns = attribution
+    ? [...attribution.byColumn].sort((a, b) => Math.abs(b.value) - Math.abs(a.value))
+    : [];
+  const strongest = columns[0];
+
+  const chartData = {
+    labels: columns.map(column => formatColumnName(column.name)),
+    datasets: [{
+      label: task === 'regression' ? 'Contribution to the predicted value' : 'Contribution to the probability',
+      data: columns.map(column => column.value),
+      backgroundColor: columns.map(column => (column.value >= 0 ? POSITIVE_COLOR : NEGATIVE_COLOR))
+    }]
+  };
+
+  const chartOptions = {
+    indexAxis: 'y',
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    plugins: {
+      legend: { display: false },
+      title: { display: true, text: `Why this prediction? (${ATTRIBUTION_METHODS[method]})` },
+      tooltip: {
+        callbacks: {
+          label: (context) => (task === 'regression'
+            ? `${context.raw >= 0 ? '+' : ''}${context.raw.toFixed(3)}`
+            : `${context.raw >= 0 ? '+' : ''}${(context.raw * 100).toFixed(2)} pp`)
+        }
+      }
+    },
+    scales: {
+      x: { title: { display: true, text: `← ${negative}   |   ${positive} →` } }
+    }
+  };
+
+  return (
+    <Box>
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <Typography variant="h6" gutterBottom>Current Prediction Analysis</Typography>
+        <FormControl size="small" className="w-64">
+          <InputLabel>Explanation method</InputLabel>
+          <Select
+            label="Explanation method"
+            value={method}
+            onChange={(e) => onMethodChange(e.target.value)}
+          >
+            {Object.entries(ATTRIBUTION_METHODS).map(([value, label]) => (
+              <MenuItem key={value} value={value}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </div>
+
+      {error && <Alert severity="error" className="mb-2">{error}</Alert>}
+      {attribution ? (
+        <>
+          <div style={{ height: Math.max(200, columns.length * 36) }}>
+            <Bar data={chartData} options={chartOptions} />
+          </div>
+          <Typography variant="body2" className="text-gray-700 mt-2">
+            Bars show how much each answer moves the predicted {task === 'regression' ? 'value' : `probability of ${positive}`} away from a
+            typical respondent (every feature at its training mean or most common value).
+            {strongest && ` The biggest driver right now is ${formatColumnName(strongest.name)}, pushing towards ${strongest.value >= 0 ? positive : negative}.`}
+          </Typography>
+        </>
+      ) : (
+        <Typography variant="body1" className="text-gray-600">
+          Explanations appear once a model has been trained.
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default FeatureAttribution;
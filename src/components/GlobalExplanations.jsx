@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { Typography, Box, Select, MenuItem, FormControl, InputLabel } from '@mui/material';
+import { Bar, Line } from 'react-chartjs-2';
+import { formatColumnName } from '../utils/schema';
+
+const percent = (value) => `${(value * 100).toFixed(0)}%`;
+
+// Plain-language findings from the importance ranking and the PDP curves
+const describeFindings = (global, positive) => {
+  const ranked = [...global.importance.features].sort((a, b) => b.mean - a.mean);
+  const byName = Object.fromEntries(global.dependence.map(curve => [curve.name, curve]));
+
+  return ranked.map(feature => {
+    const curve = byName[feature.name];
+    const low = curve.pdp[0];
+    const high = curve.pdp[curve.pdp.length - 1];
+    const name = formatColumnName(feature.name);
+    const impact = feature.mean <= 0.001
+      ? 'has almost no effect on the validation log-loss when shuffled'
+      : `raises the validation log-loss by ${feature.mean.toFixed(3)} when shuffled`;
+
+    let direction;
+    if (curve.type === 'numeric') {
+      direction = Math.abs(high - low) < 0.02
+        ? `the average probability of ${positive} barely changes across its range`
+        : `moving from ${curve.grid[0]} to ${curve.grid[curve.grid.length - 1]} ${high > low ? 'raises' : 'lowers'} the average probability of ${positive} from ${percent(low)} to ${percent(high)}`;
+    } else {
+      const best = curve.grid[curve.pdp.indexOf(Math.max(...curve.pdp))];
+      direction = `"${best}" is the value most associated with ${positive} (${percent(Math.max(...curve.pdp))} on average)`;
+    }
+    return { name, text: `${impact}; ${direction}.` };
+  });
+};
+
+const GlobalExplanations = ({ global, classNames }) => {
+  const [selectedFeature, setSelectedFeature] = useState(null);
+  const { positive = 'Positive' } = classNames || {};
+
+  if (!global) {
+    return (
+      <Typography variant="body1" className="text-gray-600">
+        Feature importance and partial-dependence plots are computed on the validation set after training.
+      </Typography>
+    );
+  }
+
+  const ranked = [...global.importance.features].sort((a, b) => b.mean - a.mean);
+  const curve = global.dependence.find(d => d.name === selectedFeature) || global.dependence.find(d => d.name === ranked[0].name);
+
+  const importanceData = {
+    labels: ranked.map(f => formatColumnName(f.name)),
+    datasets: [{
+      label: 'Log-loss increase when shuffled',
+      data: ranked.map(f => f.mean),
+      backgroundColor: 'rgba(54, 162, 235, 0.7)'
+    }]
+  };
+
+  const dependenceData = {
+    labels: curve.grid.map(String),
+    datasets: [
+      ...curve.ice.map((line, i) => ({
+        label: i === 0 ? 'Individual rows (ICE)' : `ICE ${i + 1}`,
+        data: line,
+        borderColor: 'rgba(150, 150, 150, 0.25)',
+        borderWidth: 1,
+        pointRadius: 0
+      })),
+      {
+        label: 'Partial dependence (average)',
+        data: curve.pdp,
+        borderColor: 'rgb(255, 99, 132)',
+        borderWidth: 3,
+        pointRadius: 3
+      }
+    ]
+  };
+
+  return (
+    <Box>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="h-80">
+          <Bar
+            data={importanceData}
+            options={{
+              indexAxis: 'y',
+              responsive: true,
+              maintainAspectRatio: false,
+              animation: false,
+              plugins: {
+                legend: { display: false },
+                title: { display: true, text: `Permutation Importance (baseline log-loss ${global.importance.baselineLogLoss.toFixed(3)})` }
+              }
+            }}
+          />
+        </div>
+        <div>
+          <FormControl size="small" className="w-64 mb-2">
+            <InputLabel>Feature</InputLabel>
+            <Select label="Feature" value={curve.name} onChange={(e) => setSelectedFeature(e.target.value)}>
+              {global.dependence.map(d => (
+                <MenuItem key={d.name} value={d.name}>{formatColumnName(d.name)}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <div className="h-72">
+            <Line
+              data={dependenceData}
+              options={{
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: {
+                  legend: { labels: { filter: (item) => !item.text.startsWith('ICE ') } },
+                  title: { display: true, text: `Partial Dependence: ${formatColumnName(curve.name)}` }
+                },
+                scales: {
+                  x: { title: { display: true, text: formatColumnName(curve.name) } },
+                  y: { min: 0, max: 1, title: { display: true, text: `P(${positive})` } }
+                }
+              }}
+            />
+          </div>
+        </div>
+      </div>
+    </Box>
+  );
+};
+
+export const GlobalFindings = ({ global, classNames }) => {
+  const { positive = 'Positive' } = classNames || {};
+
+  if (!global) {
+    return (
+      <Typography variant="body1" className="text-gray-600">
+        Findings about each input appear here once a model has been trained and evaluated.
+      </Typography>
+    );
+  }
+
+  return (
+    <ul className="list-disc ml-6 space-y-1">
+      {describeFindings(global, positive).map(finding => (
+        <li key={finding.name}>
+          <Typography variant="body1" component="span">
+            <strong>{finding.name}</strong> {finding.text}
+          </Typography>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default GlobalExplanations;
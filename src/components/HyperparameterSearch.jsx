@@ -0,0 +1,260 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Typography,
+  Box,
+  Button,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  LinearProgress,
+  Chip,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableSortLabel
+} from '@mui/material';
+import { ACTIVATIONS } from '../utils/modelBuilder';
+import { SEARCH_MODES, parseLayerPattern, describeTrial } from '../utils/hyperparameterSearch';
+
+// Leaderboard columns per kind of target; `better` says which way sorts best first
+const COLUMNS = {
+  binary: [
+    { key: 'validationLoss', label: 'Val loss', better: 'asc' },
+    { key: 'auc', label: 'Val AUC', better: 'desc' },
+    { key: 'f1Score', label: 'Val F1', better: 'desc' },
+    { key: 'accuracy', label: 'Val acc.', better: 'desc' }
+  ],
+  multiclass: [
+    { key: 'validationLoss', label: 'Val loss', better: 'asc' },
+    { key: 'f1Score', label: 'Val macro F1', better: 'desc' },
+    { key: 'accuracy', label: 'Val acc.', better: 'desc' }
+  ],
+  regression: [
+    { key: 'validationLoss', label: 'Val loss (MSE)', better: 'asc' },
+    { key: 'rmse', label: 'Val RMSE', better: 'asc' },
+    { key: 'r2', label: 'Val R²', better: 'desc' }
+  ]
+};
+
+// Comma- or space-separated candidates; invalid entries are dropped
+const LIST_FIELDS = [
+  { key: 'hiddenLayers', label: 'Hidden layers', helper: 'e.g. 8, 16, 32-16', parse: (v) => (parseLayerPattern(v).length > 0 ? parseLayerPattern(v).join('-') : null) },
+  { key: 'learningRate', label: 'Learning rates', helper: 'Random search samples between min and max', parse: (v) => (parseFloat(v) > 0 ? parseFloat(v) : null) },
+  { key: 'batchSize', label: 'Batch sizes', helper: 'e.g. 16, 32, 64', parse: (v) => (parseInt(v, 10) > 0 ? parseInt(v, 10) : null) },
+  { key: 'dropout', label: 'Dropout rates', helper: 'Between 0 and 0.9', parse: (v) => (parseFloat(v) >= 0 && parseFloat(v) <= 0.9 ? parseFloat(v) : null) }
+];
+
+const parseList = (text, parse) => [...new Set(
+  text.split(/[\s,]+/).filter(Boolean).map(parse).filter(value => value !== null)
+)];
+
+const format = (value, key) => {
+  if (!Number.isFinite(value)) return '–';
+  return key === 'f1Score' || key === 'accuracy' ? `${(value * 100).toFixed(1)}%` : value.toFixed(4);
+};
+
+const HyperparameterSearch = ({ config, onChange, status, results, totalTrials, onStart, onStop, onPromote, task = 'binary', disabled }) => {
+  const [texts, setTexts] = useState(() =>
+    Object.fromEntries(LIST_FIELDS.map(({ key }) => [key, config.space[key].join(', ')]))
+  );
+  const columns = COLUMNS[task];
+  const [sortKey, setSortKey] = useState('validationLoss');
+  const sortColumn = columns.find(column => column.key === sortKey) || columns[0];
+  const isRunning = status === 'running';
+
+  const updateSpace = (key, value) => onChange({ ...config, space: { ...config.space, [key]: value } });
+
+  const updateList = ({ key, parse }) => (e) => {
+    setTexts(prev => ({ ...prev, [key]: e.target.value }));
+    updateSpace(key, parseList(e.target.value, parse));
+  };
+
+  const toggleActivation = (activation) => updateSpace(
+    'activation',
+    config.space.activation.includes(activation)
+      ? config.space.activation.filter(other => other !== activation)
+      : [...config.space.activation, activation]
+  );
+
+  const updateNumber = (field, min) => (e) => {
+    const value = parseInt(e.target.value, 10);
+    onChange({ ...config, [field]: Number.isFinite(value) ? Math.max(min, value) : min });
+  };
+
+  const gridSize = ['hiddenLayers', 'activation', 'learningRate', 'batchSize', 'dropout']
+    .reduce((product, key) => product * config.space[key].length, 1);
+
+  // Trials without a score for the sort column go last
+  const ranked = useMemo(() => {
+    const sign = sortColumn.better === 'asc' ? 1 : -1;
+    return [...results].sort((a, b) => {
+      const x = a.result[sortColumn.key];
+      const y = b.result[sortColumn.key];
+      if (!Number.isFinite(x)) return 1;
+      if (!Number.isFinite(y)) return -1;
+      return sign * (x - y);
+    });
+  }, [results, sortColumn]);
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>Hyperparameter Search</Typography>
+      <Typography variant="body2" className="text-gray-600 mb-3">
+        Trains one model per trial on the current train/validation split, one after another, with early stopping
+        on the validation loss. Preprocessing, optimizer and seed come from the settings above.
+      </Typography>
+
+      <div className="flex flex-wrap items-start gap-3">
+        {LIST_FIELDS.map(field => (
+          <TextField
+            key={field.key}
+            label={field.label}
+            size="small"
+            value={texts[field.key]}
+            onChange={updateList(field)}
+            helperText={field.helper}
+            error={config.space[field.key].length === 0}
+            disabled={isRunning}
+            className="w-56"
+          />
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mt-2">
+        <Typography variant="body2" className="text-gray-600">Activations:</Typography>
+        {ACTIVATIONS.map(activation => (
+          <Chip
+            key={activation}
+            label={activation}
+            color={config.space.activation.includes(activation) ? 'primary' : 'default'}
+            variant={config.space.activation.includes(activation) ? 'filled' : 'outlined'}
+            onClick={() => toggleActivation(activation)}
+            disabled={isRunning}
+          />
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mt-4">
+        <FormControl size="small" className="w-56" disabled={isRunning}>
+          <InputLabel>Sampling</InputLabel>
+          <Select label="Sampling" value={config.mode} onChange={(e) => onChange({ ...config, mode: e.target.value })}>
+            {Object.entries(SEARCH_MODES).map(([key, label]) => (
+              <MenuItem key={key} value={key}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          label="Trial budget"
+          type="number"
+          size="small"
+          value={config.budget}
+          onChange={updateNumber('budget', 1)}
+          inputProps={{ min: 1, max: 200 }}
+          disabled={isRunning}
+          className="w-28"
+        />
+        <TextField
+          label="Max epochs"
+          type="number"
+          size="small"
+          value={config.epochs}
+          onChange={updateNumber('epochs', 1)}
+          inputProps={{ min: 1, max: 1000 }}
+          disabled={isRunning}
+          className="w-28"
+        />
+        <TextField
+          label="Patience"
+          type="number"
+          size="small"
+          value={config.patience}
+          onChange={updateNumber('patience', 0)}
+          inputProps={{ min: 0 }}
+          disabled={isRunning}
+          className="w-24"
+        />
+        <Typography variant="body2" className="text-gray-600">
+          {gridSize} combinations
+          {config.mode === 'grid' && gridSize > config.budget && `, ${config.budget} sampled`}
+        </Typography>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mt-4">
+        <Button variant="contained" onClick={onStart} disabled={isRunning || disabled || gridSize === 0}>
+          Run search
+        </Button>
+        <Button variant="outlined" color="error" onClick={onStop} disabled={!isRunning}>
+          Stop
+        </Button>
+        <Button variant="outlined" onClick={() => onPromote(ranked[0])} disabled={isRunning || disabled || ranked.length === 0}>
+          Promote best
+        </Button>
+        {totalTrials > 0 && (
+          <Typography variant="body2" className="text-gray-600">
+            {isRunning ? 'Running' : 'Finished'} · trial {results.length}/{totalTrials}
+          </Typography>
+        )}
+      </div>
+      {isRunning && (
+        <LinearProgress variant="determinate" value={(results.length / totalTrials) * 100} className="mt-3" />
+      )}
+      <Typography variant="caption" className="block text-gray-500 mt-1">
+        Promoting copies the trial's architecture and hyperparameters into the settings above and retrains it as
+        the active model; with the same seed it reproduces the trial.
+      </Typography>
+
+      {results.length > 0 && (
+        <div className="overflow-x-auto max-h-96 mt-3">
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell>Rank</TableCell>
+                <TableCell>Trial</TableCell>
+                <TableCell>Configuration</TableCell>
+                <TableCell>Epochs</TableCell>
+                {columns.map(column => (
+                  <TableCell key={column.key}>
+                    <TableSortLabel
+                      active={sortColumn.key === column.key}
+                      direction={column.better}
+                      onClick={() => setSortKey(column.key)}
+                    >
+                      {column.label}
+                    </TableSortLabel>
+                  </TableCell>
+                ))}
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {ranked.map((entry, rank) => (
+                <TableRow key={entry.trial.id} selected={rank === 0}>
+                  <TableCell>{rank + 1}</TableCell>
+                  <TableCell>#{entry.trial.id}</TableCell>
+                  <TableCell className="text-xs">{describeTrial(entry.trial)}</TableCell>
+                  <TableCell>
+                    {entry.result.epochs}{entry.result.stoppedEarly && ' (early stopping)'}
+                  </TableCell>
+                  {columns.map(column => (
+                    <TableCell key={column.key}>{format(entry.result[column.key], column.key)}</TableCell>
+                  ))}
+                  <TableCell>
+                    <Button size="small" onClick={() => onPromote(entry)} disabled={isRunning || disabled}>
+                      Promote
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+    </Box>
+  );
+};
+
+export default HyperparameterSearch;
@@ -0,0 +1,92 @@
+import React, { useMemo } from 'react';
+import { Typography, Box, Select, MenuItem, FormControl, InputLabel, TextField, LinearProgress } from '@mui/material';
+import { IMBALANCE_STRATEGIES, LOSSES } from '../utils/imbalance';
+import { classBalance } from '../utils/eda';
+import { isMissing } from '../utils/schema';
+
+const ImbalanceOptions = ({ config, onChange, data, target, task = 'binary', disabled }) => {
+  const balance = useMemo(
+    () => (data && target && task !== 'regression'
+      ? classBalance(data.rows.filter(row => !isMissing(row[target])), target)
+      : []),
+    [data, target, task]
+  );
+  // Rebalancing and the loss choice assume a positive and a negative class
+  const locked = disabled || task !== 'binary';
+  const total = balance.reduce((sum, entry) => sum + entry.count, 0);
+  const minority = balance.reduce((min, entry) => (!min || entry.count < min.count ? entry : min), null);
+
+  return (
+    <Box className="mb-6">
+      <Typography variant="h6" gutterBottom>Class Imbalance</Typography>
+      <div className="space-y-1 max-w-md mb-3">
+        {balance.map(entry => (
+          <div key={entry.value}>
+            <Typography variant="body2">
+              {entry.value}: {entry.count} rows ({((entry.count / total) * 100).toFixed(1)}%)
+              {balance.length === 2 && entry === minority && ' · minority'}
+            </Typography>
+            <LinearProgress variant="determinate" value={(entry.count / total) * 100} />
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <FormControl size="small" className="w-60" disabled={locked}>
+          <InputLabel>Rebalancing</InputLabel>
+          <Select
+            label="Rebalancing"
+            value={config.imbalance}
+            onChange={(e) => onChange({ ...config, imbalance: e.target.value })}
+          >
+            {Object.entries(IMBALANCE_STRATEGIES).map(([key, { label }]) => (
+              <MenuItem key={key} value={key}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl size="small" className="w-52" disabled={locked}>
+          <InputLabel>Loss</InputLabel>
+          <Select
+            label="Loss"
+            value={config.loss}
+            onChange={(e) => onChange({ ...config, loss: e.target.value })}
+          >
+            {Object.entries(LOSSES).map(([key, { label }]) => (
+              <MenuItem key={key} value={key}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        {config.loss === 'focal' && (
+          <TextField
+            label="Focal gamma"
+            type="number"
+            size="small"
+            value={config.focalGamma}
+            onChange={(e) => {
+              const value = parseFloat(e.target.value);
+              onChange({ ...config, focalGamma: Number.isFinite(value) ? Math.max(0, value) : 0 });
+            }}
+            inputProps={{ min: 0, step: 0.5 }}
+            disabled={locked}
+            className="w-28"
+          />
+        )}
+      </div>
+      <Typography variant="caption" className="block text-gray-500 mt-1">
+        {task === 'binary' ? (
+          <>
+            Resampling and SMOTE change the training split only; validation and test keep the real class ratio.
+            Compare the recall of the minority class in the metrics below.
+          </>
+        ) : (
+          <>
+            These options apply to binary targets. Multi-class targets are trained with categorical
+            cross-entropy and numeric targets with mean squared error.
+          </>
+        )}
+      </Typography>
+    </Box>
+  );
+};
+
+export default ImbalanceOptions;
@@ -0,0 +1,91 @@
+import React from 'react';
+import { Paper, Typography } from '@mui/material';
+
+export const METRIC_LABELS = {
+  binary: [
+    ['accuracy', 'Accuracy'],
+    ['precision', 'Precision'],
+    ['recall', 'Recall'],
+    ['f1Score', 'F1 Score'],
+    ['specificity', 'Specificity'],
+    ['balancedAccuracy', 'Balanced Accuracy']
+  ],
+  multiclass: [
+    ['accuracy', 'Accuracy'],
+    ['macroPrecision', 'Macro Precision'],
+    ['macroRecall', 'Macro Recall'],
+    ['macroF1', 'Macro F1']
+  ],
+  regression: [
+    ['mse', 'MSE'],
+    ['rmse', 'RMSE'],
+    ['mae', 'MAE'],
+    ['r2', 'R²']
+  ]
+};
+
+const percent = (value) => (Number.isFinite(value) ? `${(value * 100).toFixed(2)}%` : '—');
+const decimal = (value) => (Number.isFinite(value) ? value.toFixed(3) : '—');
+
+const MetricsPanel = ({ metrics, testMetrics, cvSummary, threshold, minorityClass, task = 'binary' }) => {
+  const labels = METRIC_LABELS[task];
+  const format = task === 'regression' ? decimal : percent;
+
+  return (
+    <Paper elevation={3} className="p-4 mb-6">
+      <Typography variant="h6" gutterBottom>Model Performance Metrics</Typography>
+      <Typography variant="body2" className="text-gray-600 mb-2">
+        {task === 'binary' && `Scored at decision threshold ${threshold.toFixed(2)}`}
+        {task === 'multiclass' && 'Each row is assigned its most probable class; macro scores average the per-class scores'}
+        {task === 'regression' && 'Errors are in the units of the target; R² is the share of its variance explained'}
+      </Typography>
+      {minorityClass && (
+        <Typography variant="subtitle1" className="mb-2">
+          Minority-class recall ({minorityClass.name}, {(minorityClass.share * 100).toFixed(1)}% of validation rows):{' '}
+          <strong>{percent(metrics[minorityClass.recallKey])}</strong> validation
+          {testMetrics && <> · <strong>{percent(testMetrics[minorityClass.recallKey])}</strong> test</>}
+        </Typography>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <Typography variant="subtitle2" className="text-gray-600">Validation</Typography>
+          {labels.map(([key, label]) => (
+            <Typography key={key} variant="subtitle1">{label}: {format(metrics[key])}</Typography>
+          ))}
+        </div>
+        <div>
+          <Typography variant="subtitle2" className="text-gray-600">Held-out test</Typography>
+          {testMetrics ? labels.map(([key, label]) => (
+            <Typography key={key} variant="subtitle1">{label}: {format(testMetrics[key])}</Typography>
+          )) : (
+            <Typography variant="body2" className="text-gray-500">
+              Reported after training when the test ratio is above zero.
+            </Typography>
+          )}
+        </div>
+        {cvSummary && (
+          <div>
+            <Typography variant="subtitle2" className="text-gray-600">
+              Cross-validation ({cvSummary.foldMetrics?.length || 0}/{cvSummary.totalFolds} folds, mean ± std)
+            </Typography>
+            {cvSummary.summary ? labels.map(([key, label]) => (
+              <Typography key={key} variant="subtitle1">
+                {label}: {format(cvSummary.summary[key]?.mean)} ± {format(cvSummary.summary[key]?.std)}
+              </Typography>
+            )) : (
+              <Typography variant="body2" className="text-gray-500">Training fold {cvSummary.currentFold}...</Typography>
+            )}
+          </div>
+        )}
+      </div>
+      {cvSummary && (
+        <Typography variant="caption" className="text-gray-500">
+          Validation and test columns describe the model from the last fold, which stays active for predictions.
+          {task === 'binary' && ' Fold metrics are scored at the default 0.5 threshold.'}
+        </Typography>
+      )}
+    </Paper>
+  );
+};
+
+export default MetricsPanel;
@@ -0,0 +1,134 @@
+import React, { useRef, useState } from 'react';
+import {
+  Typography,
+  Box,
+  Button,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Alert
+} from '@mui/material';
+import {
+  listSavedModels,
+  saveModel,
+  loadSavedModel,
+  deleteSavedModel,
+  downloadModel,
+  loadModelFromFiles,
+  STORAGE_OPTIONS
+} from '../utils/modelStorage';
+
+const ModelManager = ({ model, getMetadata, onModelLoaded, disabled }) => {
+  const fileInputRef = useRef();
+  const [name, setName] = useState('personality-model');
+  const [storage, setStorage] = useState('indexeddb');
+  const [savedModels, setSavedModels] = useState(listSavedModels);
+  const [selectedId, setSelectedId] = useState('');
+  const [message, setMessage] = useState(null);
+
+  // Wraps every action so failures (quota, missing files...) show inline
+  const run = (action) => async (...args) => {
+    try {
+      setMessage(null);
+      await action(...args);
+    } catch (err) {
+      setMessage({ severity: 'error', text: err.message });
+    }
+  };
+
+  const handleSave = run(async () => {
+    const entry = await saveModel(model, getMetadata(name), storage);
+    setSavedModels(listSavedModels());
+    setSelectedId(entry.id);
+    setMessage({ severity: 'success', text: `Saved "${entry.name}" to ${STORAGE_OPTIONS[storage]}.` });
+  });
+
+  const handleDownload = run(() => downloadModel(model, getMetadata(name)));
+
+  const handleOpen = run(async () => {
+    const { model: loaded, metadata } = await loadSavedModel(selectedId);
+    await onModelLoaded(loaded, metadata);
+    setMessage({ severity: 'success', text: `Opened "${metadata.name}".` });
+  });
+
+  const handleDelete = run(async () => {
+    await deleteSavedModel(selectedId);
+    setSavedModels(listSavedModels());
+    setSelectedId('');
+  });
+
+  const handleUpload = run(async (files) => {
+    const { model: loaded, metadata } = await loadModelFromFiles(files);
+    await onModelLoaded(loaded, metadata);
+    setMessage({ severity: 'success', text: `Loaded "${metadata.name}" from files.` });
+  });
+
+  return (
+    <Box>
+      <Typography variant="h6" gutterBottom>Saved Models</Typography>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <TextField
+          label="Model name"
+          size="small"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="w-56"
+        />
+        <FormControl size="small" className="w-40">
+          <InputLabel>Storage</InputLabel>
+          <Select label="Storage" value={storage} onChange={(e) => setStorage(e.target.value)}>
+            {Object.entries(STORAGE_OPTIONS).map(([value, label]) => (
+              <MenuItem key={value} value={value}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button variant="contained" onClick={handleSave} disabled={!model || disabled}>Save</Button>
+        <Button variant="outlined" onClick={handleDownload} disabled={!model || disabled}>Download Files</Button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mt-4">
+        <FormControl size="small" className="w-72">
+          <InputLabel>Previous runs</InputLabel>
+          <Select
+            label="Previous runs"
+            value={selectedId}
+            onChange={(e) => setSelectedId(e.target.value)}
+          >
+            {savedModels.length === 0 && <MenuItem value="" disabled>No saved models yet</MenuItem>}
+            {savedModels.map(entry => (
+              <MenuItem key={entry.id} value={entry.id}>
+                {entry.name} · {new Date(entry.savedAt).toLocaleString()} · {STORAGE_OPTIONS[entry.storage]}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button variant="outlined" onClick={handleOpen} disabled={!selectedId || disabled}>Open</Button>
+        <Button variant="outlined" color="error" onClick={handleDelete} disabled={!selectedId || disabled}>Delete</Button>
+        <Button variant="outlined" onClick={() => fileInputRef.current.click()} disabled={disabled}>
+          Upload Files
+        </Button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,.bin"
+          multiple
+          hidden
+          onChange={(e) => {
+            handleUpload([...e.target.files]);
+            e.target.value = '';
+          }}
+        />
+      </div>
+      <Typography variant="caption" className="text-gray-500">
+        Upload the model .json, .weights.bin and .metadata.json files together.
+      </Typography>
+
+      {message && <Alert severity={message.severity} className="mt-3">{message.text}</Alert>}
+    </Box>
+  );
+};
+
+export default ModelManager;
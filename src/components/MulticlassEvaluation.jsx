@@ -0,0 +1,102 @@
+import React, { useMemo } from 'react';
+import * as d3 from 'd3';
+import { Typography, Box, Table, TableHead, TableBody, TableRow, TableCell } from '@mui/material';
+import { computeMulticlassMetrics, multiclassLogLoss } from '../utils/metrics';
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+const MulticlassEvaluation = ({ validation, classes }) => {
+  const metrics = useMemo(
+    () => validation && {
+      ...computeMulticlassMetrics(validation.probabilities, validation.labels, classes.length),
+      logLoss: multiclassLogLoss(validation.probabilities, validation.labels)
+    },
+    [validation, classes]
+  );
+
+  if (!validation) {
+    return (
+      <Box>
+        <Typography variant="h4" gutterBottom>Evaluation</Typography>
+        <Typography variant="body1" className="text-gray-600">
+          The evaluation dashboard appears once a model has finished training.
+        </Typography>
+      </Box>
+    );
+  }
+
+  // Cells are shaded by their share of the true class, so rows are comparable
+  // whatever the class sizes
+  const shade = d3.scaleSequential(d3.interpolateBlues).domain([0, 1]);
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>Evaluation</Typography>
+      <Typography variant="body2" className="text-gray-600 mb-3">
+        Validation rows are assigned their most probable class. Accuracy {percent(metrics.accuracy)},
+        macro F1 {percent(metrics.macroF1)}, log-loss {metrics.logLoss.toFixed(3)}.
+      </Typography>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="overflow-x-auto">
+          <Typography variant="h6" gutterBottom>Confusion Matrix</Typography>
+          <table className="text-sm border-collapse">
+            <thead>
+              <tr>
+                <th className="p-2 text-left text-gray-600 font-normal">True ↓ / Predicted →</th>
+                {classes.map(name => <th key={name} className="p-2 font-medium">{name}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {metrics.confusion.map((row, k) => {
+                const support = metrics.perClass[k].support;
+                return (
+                  <tr key={classes[k]}>
+                    <th className="p-2 text-left font-medium">{classes[k]}</th>
+                    {row.map((count, j) => {
+                      const share = support ? count / support : 0;
+                      return (
+                        <td
+                          key={classes[j]}
+                          className={`p-2 text-center rounded ${j === k ? 'font-semibold' : ''}`}
+                          style={{ backgroundColor: shade(share), color: share > 0.6 ? 'white' : 'black' }}
+                          title={`${percent(share)} of ${classes[k]} rows`}
+                        >
+                          {count}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div>
+          <Typography variant="h6" gutterBottom>Per-class Metrics</Typography>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                {['Class', 'Precision', 'Recall', 'F1', 'Rows'].map(label => <TableCell key={label}>{label}</TableCell>)}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {metrics.perClass.map((entry, k) => (
+                <TableRow key={classes[k]}>
+                  <TableCell>{classes[k]}</TableCell>
+                  <TableCell>{percent(entry.precision)}</TableCell>
+                  <TableCell>{percent(entry.recall)}</TableCell>
+                  <TableCell>{percent(entry.f1Score)}</TableCell>
+                  <TableCell>{entry.support}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      </div>
+    </Box>
+  );
+};
+
+export default MulticlassEvaluation;
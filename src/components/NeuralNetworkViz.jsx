@@ -1,36 +1,116 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import * as d3 from 'd3';
 import { motion } from 'framer-motion';
+import { Button, Slider } from '@mui/material';
+import { weightRange } from '../utils/networkWeights';
+import { describeNetwork } from '../utils/modelBuilder';
+import NeuronInspector from './NeuronInspector';
 
-const NeuralNetworkViz = ({ inputs, weights, activations }) => {
+const MARGIN = { top: 40, right: 40, bottom: 40, left: 40 };
+const TRANSITION_MS = 300;
+const PLAYBACK_INTERVAL_MS = 400;
+const MIN_WIDTH = 320;
+// Extra room on the right for class names next to the output neurons
+const OUTPUT_LABEL_MARGIN = 110;
+
+const linkPath = (link) => {
+  const midX = (link.source.x + link.target.x) / 2;
+  return `M${link.source.x},${link.source.y} C${midX},${link.source.y} ${midX},${link.target.y} ${link.target.x},${link.target.y}`;
+};
+
+const NeuralNetworkViz = ({
+  model,
+  inputLabels = [],
+  outputLabels = [],
+  inputs,
+  weights,
+  activations,
+  inputContributions,
+  snapshots = [],
+  schema,
+  samples
+}) => {
   const svgRef = useRef();
+  const containerRef = useRef();
+  const zoomRef = useRef(d3.zoom().scaleExtent([0.5, 8]));
   const [dimensions, setDimensions] = useState({ width: 800, height: 600 });
+  const [hoveredLink, setHoveredLink] = useState(null);
+  const [selectedNeuron, setSelectedNeuron] = useState(null);
+  // Index into snapshots while replaying training; null shows the live state
+  const [frame, setFrame] = useState(null);
+  const [playing, setPlaying] = useState(false);
+
+  const layers = useMemo(() => describeNetwork(model), [model]);
+
+  // Fit the drawing to the available width, keeping a 4:3 shape within limits
+  useEffect(() => {
+    const observer = new ResizeObserver(([entry]) => {
+      const width = Math.max(MIN_WIDTH, Math.round(entry.contentRect.width));
+      setDimensions({ width, height: Math.round(Math.min(600, Math.max(360, width * 0.75))) });
+    });
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, []);
 
-  const layers = [
-    { nodes: 7, name: 'Input Layer' },
-    { nodes: 10, name: 'Hidden Layer 1' },
-    { nodes: 5, name: 'Hidden Layer 2' },
-    { nodes: 1, name: 'Output Layer' }
-  ];
+  // Keep the inspected neuron only while it still exists in the network
+  useEffect(() => {
+    setSelectedNeuron(prev => (
+      prev && prev.layer < layers.length && prev.index < layers[prev.layer].nodes ? prev : null
+    ));
+  }, [layers]);
+
+  // Every new run (or loaded model) starts in live mode
+  useEffect(() => {
+    setFrame(null);
+    setPlaying(false);
+  }, [model]);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (frame >= snapshots.length - 1) {
+      setPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => setFrame(frame + 1), PLAYBACK_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [playing, frame, snapshots.length]);
+
+  const snapshot = frame !== null ? snapshots[frame] : null;
+  const shownWeights = snapshot ? snapshot.weights : weights;
+  const shownActivations = snapshot ? snapshot.activations : activations;
+  // Playback uses one scale for the whole run so weights visibly grow
+  const playbackRange = useMemo(() => d3.max(snapshots, s => weightRange(s.weights)) || 0, [snapshots]);
+  const maxWeight = snapshot ? playbackRange : weightRange(weights || []);
+  const contributions = snapshot ? null : inputContributions;
 
   useEffect(() => {
     const svg = d3.select(svgRef.current);
-    svg.selectAll("*").remove();
+    const width = dimensions.width - MARGIN.left - (outputLabels.length > 0 ? OUTPUT_LABEL_MARGIN : MARGIN.right);
+    const height = dimensions.height - MARGIN.top - MARGIN.bottom;
 
-    const margin = { top: 40, right: 40, bottom: 40, left: 40 };
-    const width = dimensions.width - margin.left - margin.right;
-    const height = dimensions.height - margin.top - margin.bottom;
+    // The groups are created once and their contents updated in place, so
+    // changes in weights and activations can be animated
+    let g = svg.select("g.network");
+    if (g.empty()) {
+      const zoomLayer = svg.append("g").attr("class", "zoom-layer");
+      svg.call(zoomRef.current.on("zoom", (event) => zoomLayer.attr("transform", event.transform)));
+      g = zoomLayer.append("g")
+        .attr("class", "network")
+        .attr("transform", `translate(${MARGIN.left},${MARGIN.top})`);
+      ["layer-labels", "links", "nodes", "input-labels", "output-labels"].forEach(name => g.append("g").attr("class", name));
+    }
+    const transition = svg.transition()
+      .duration(playing ? PLAYBACK_INTERVAL_MS : TRANSITION_MS)
+      .ease(playing ? d3.easeLinear : d3.easeCubicOut);
 
-    const g = svg.append("g")
-      .attr("transform", `translate(${margin.left},${margin.top})`);
+    const layerSpacing = layers.length > 1 ? width / (layers.length - 1) : 0;
 
     // Add layer labels
-    g.selectAll(".layer-label")
+    g.select(".layer-labels")
+      .selectAll("text")
       .data(layers)
-      .enter()
-      .append("text")
-      .attr("class", "layer-label")
-      .attr("x", (d, i) => (width * i) / (layers.length - 1))
+      .join("text")
+      .attr("x", (d, i) => i * layerSpacing)
       .attr("y", -20)
       .attr("text-anchor", "middle")
       .style("font-size", "14px")
@@ -38,19 +118,23 @@ const NeuralNetworkViz = ({ inputs, weights, activations }) => {
       .text(d => d.name);
 
     // Calculate node positions
-    const layerSpacing = width / (layers.length - 1);
     const nodes = [];
     const links = [];
 
+    // Shrink the nodes when a layer is too tall to fit them at full size
+    const maxNodes = d3.max(layers, layer => layer.nodes) || 1;
+    const nodeRadius = Math.max(4, Math.min(20, height / (maxNodes + 1) / 2.4));
+
     layers.forEach((layer, i) => {
       const nodeSpacing = height / (layer.nodes + 1);
       for (let j = 0; j < layer.nodes; j++) {
         nodes.push({
+          id: `${i}-${j}`,
           x: i * layerSpacing,
           y: (j + 1) * nodeSpacing,
           layer: i,
           index: j,
-          value: activations?.[i]?.[j] || 0
+          value: shownActivations?.[i]?.[j] || 0
         });
       }
     });
@@ -59,110 +143,217 @@ const NeuralNetworkViz = ({ inputs, weights, activations }) => {
     for (let i = 0; i < layers.length - 1; i++) {
       const currentLayer = nodes.filter(n => n.layer === i);
       const nextLayer = nodes.filter(n => n.layer === i + 1);
-      
+
       currentLayer.forEach(current => {
         nextLayer.forEach(next => {
           links.push({
+            id: `${current.id}-${next.index}`,
             source: current,
             target: next,
-            weight: weights?.[i]?.[current.index]?.[next.index] || Math.random() * 2 - 1
+            weight: shownWeights?.[i]?.kernel?.[current.index]?.[next.index] ?? 0,
+            bias: shownWeights?.[i]?.bias?.[next.index] ?? 0
           });
         });
       });
     }
 
-    // Draw connections with gradient
-    const linkGroup = g.append("g").attr("class", "links");
-    
-    links.forEach(link => {
-      const gradientId = `gradient-${link.source.layer}-${link.source.index}-${link.target.index}`;
-      
-      // Create gradient
-      const gradient = svg.append("defs")
-        .append("linearGradient")
-        .attr("id", gradientId)
-        .attr("x1", "0%")
-        .attr("y1", "0%")
-        .attr("x2", "100%")
-        .attr("y2", "0%");
-
-      gradient.append("stop")
-        .attr("offset", "0%")
-        .attr("stop-color", link.weight > 0 ? "#4CAF50" : "#f44336")
-        .attr("stop-opacity", Math.abs(link.weight));
-
-      gradient.append("stop")
-        .attr("offset", "100%")
-        .attr("stop-color", link.weight > 0 ? "#4CAF50" : "#f44336")
-        .attr("stop-opacity", Math.abs(link.weight));
-
-      // Draw connection
-      linkGroup.append("path")
-        .attr("d", `M${link.source.x},${link.source.y} C${(link.source.x + link.target.x) / 2},${link.source.y} ${(link.source.x + link.target.x) / 2},${link.target.y} ${link.target.x},${link.target.y}`)
+    // Colour and thickness are normalised to the largest absolute weight
+    const domainMax = maxWeight || 1;
+    const colorScale = d3.scaleLinear()
+      .domain([-domainMax, 0, domainMax])
+      .range(["#f44336", "#e0e0e0", "#4CAF50"]);
+    const widthScale = d3.scaleLinear()
+      .domain([0, domainMax])
+      .range([0.5, 4]);
+    const linkOpacity = link => 0.3 + 0.7 * Math.min(1, Math.abs(link.weight) / domainMax);
+
+    // Draw connections
+    g.select(".links")
+      .selectAll(".link")
+      .data(links, link => link.id)
+      .join(enter => enter.append("path")
+        .attr("class", "link")
+        .attr("d", linkPath)
         .style("fill", "none")
-        .style("stroke", `url(#${gradientId})`)
-        .style("stroke-width", Math.abs(link.weight) * 2);
-    });
+        .style("stroke", "#e0e0e0")
+        .style("stroke-width", 0)
+        .style("cursor", "pointer"))
+      .on("mouseenter", function (event, link) {
+        d3.select(this).interrupt().raise().style("stroke-opacity", 1).style("stroke-width", widthScale(Math.abs(link.weight)) + 2);
+        const [x, y] = d3.pointer(event, containerRef.current);
+        setHoveredLink({ x, y, ...link });
+      })
+      .on("mouseleave", function (event, link) {
+        d3.select(this)
+          .style("stroke-opacity", linkOpacity(link))
+          .style("stroke-width", widthScale(Math.abs(link.weight)));
+        setHoveredLink(null);
+      })
+      .transition(transition)
+      .attr("d", linkPath)
+      .style("stroke", link => colorScale(link.weight))
+      .style("stroke-opacity", linkOpacity)
+      .style("stroke-width", link => widthScale(Math.abs(link.weight)));
 
     // Draw nodes
-    const nodeGroup = g.append("g").attr("class", "nodes");
-    
-    const node = nodeGroup.selectAll(".node")
-      .data(nodes)
-      .enter()
-      .append("g")
-      .attr("class", "node")
+    const node = g.select(".nodes")
+      .selectAll(".node")
+      .data(nodes, d => d.id)
+      .join(enter => {
+        const group = enter.append("g")
+          .attr("class", "node")
+          .attr("transform", d => `translate(${d.x},${d.y})`);
+        // Halo input nodes by how strongly they drive the current prediction
+        group.append("circle")
+          .attr("class", "contribution-halo")
+          .attr("r", 0)
+          .style("opacity", 0.45);
+        group.append("circle")
+          .attr("class", "node-body")
+          .style("fill", d3.interpolateViridis(0));
+        group.append("text")
+          .attr("dy", ".35em")
+          .attr("text-anchor", "middle")
+          .style("fill", "white")
+          .style("font-size", "12px");
+        return group;
+      });
+
+    // Hidden and output neurons open the inspector when clicked
+    const isSelected = d => selectedNeuron?.layer === d.layer && selectedNeuron?.index === d.index;
+    node
+      .style("cursor", d => (d.layer > 0 ? "pointer" : "default"))
+      .on("click", (event, d) => {
+        if (d.layer > 0) setSelectedNeuron({ layer: d.layer, index: d.index });
+      })
+      .transition(transition)
       .attr("transform", d => `translate(${d.x},${d.y})`);
 
-    // Node circles
-    node.append("circle")
-      .attr("r", 20)
-      .style("fill", d => d3.interpolateViridis(d.value))
-      .style("stroke", "#666")
-      .style("stroke-width", 2);
+    node.select(".node-body")
+      .attr("r", nodeRadius)
+      .style("stroke", d => (isSelected(d) ? "#ff9800" : "#666"))
+      .style("stroke-width", d => (isSelected(d) ? 4 : 2))
+      .transition(transition)
+      .style("fill", d => d3.interpolateViridis(d.value));
+
+    const maxContribution = d3.max(contributions || [], c => Math.abs(c)) || 0;
+    node.select(".contribution-halo")
+      .style("fill", d => ((contributions?.[d.index] ?? 0) >= 0 ? "#4CAF50" : "#f44336"))
+      .transition(transition)
+      .attr("r", d => (d.layer === 0 && maxContribution > 0
+        ? nodeRadius + 2 + 10 * Math.abs(contributions[d.index] || 0) / maxContribution
+        : 0));
 
     // Node values
-    node.append("text")
-      .attr("dy", ".35em")
-      .attr("text-anchor", "middle")
-      .style("fill", "white")
-      .style("font-size", "12px")
-      .text(d => d.value.toFixed(2));
+    node.select("text")
+      .text(d => (nodeRadius >= 14 ? d.value.toFixed(2) : ''));
 
     // Add feature labels for input layer
-    const inputLabels = [
-      "Time Alone",
-      "Stage Fear",
-      "Social Events",
-      "Going Outside",
-      "Drained After",
-      "Friends Circle",
-      "Post Frequency"
-    ];
-
-    nodeGroup.selectAll(".input-label")
+    g.select(".input-labels")
+      .selectAll("text")
       .data(nodes.filter(n => n.layer === 0))
-      .enter()
-      .append("text")
-      .attr("class", "input-label")
-      .attr("x", d => d.x - 30)
+      .join("text")
+      .attr("x", d => d.x - nodeRadius - 10)
       .attr("y", d => d.y)
       .attr("text-anchor", "end")
       .attr("dy", ".35em")
       .style("font-size", "12px")
       .text((d, i) => inputLabels[i]);
 
-  }, [dimensions, weights, activations]);
+    // One label per output neuron: the class it scores or the predicted value
+    g.select(".output-labels")
+      .selectAll("text")
+      .data(nodes.filter(n => layers.length > 1 && n.layer === layers.length - 1))
+      .join("text")
+      .attr("x", d => d.x + nodeRadius + 10)
+      .attr("y", d => d.y)
+      .attr("dy", ".35em")
+      .style("font-size", "12px")
+      .text((d, i) => outputLabels[i]);
+
+  }, [dimensions, layers, inputLabels, outputLabels, shownWeights, shownActivations, contributions, maxWeight, playing, selectedNeuron]);
+
+  const lastFrame = snapshots.length - 1;
+  const frameLabel = (index) => (snapshots[index]?.epoch < 0 ? 'Initial weights' : `Epoch ${snapshots[index]?.epoch + 1}`);
+
+  const resetZoom = () => {
+    d3.select(svgRef.current).transition().duration(TRANSITION_MS).call(zoomRef.current.transform, d3.zoomIdentity);
+  };
+
+  const play = () => {
+    setFrame(frame === null || frame >= lastFrame ? 0 : frame);
+    setPlaying(true);
+  };
 
   return (
     <div className="relative w-full h-full">
-      <svg
-        ref={svgRef}
-        width={dimensions.width}
-        height={dimensions.height}
-        className="border rounded-lg shadow-lg bg-white"
-        style={{ maxWidth: '100%', height: 'auto' }}
-      />
+      <div className="flex flex-col lg:flex-row gap-4">
+        <div ref={containerRef} className="relative flex-1 min-w-0">
+          <svg
+            ref={svgRef}
+            width={dimensions.width}
+            height={dimensions.height}
+            className="border rounded-lg shadow-lg bg-white"
+          />
+          <Button size="small" onClick={resetZoom} className="!absolute top-2 right-2">Reset zoom</Button>
+          {hoveredLink && (
+            <div
+              className="absolute pointer-events-none bg-gray-800 text-white text-xs rounded px-2 py-1 shadow"
+              style={{ left: hoveredLink.x + 12, top: hoveredLink.y + 12 }}
+            >
+              <div>{layers[hoveredLink.source.layer].name} #{hoveredLink.source.index + 1} → {layers[hoveredLink.target.layer].name} #{hoveredLink.target.index + 1}</div>
+              <div>Weight: {hoveredLink.weight.toFixed(4)}</div>
+              <div>Bias (target): {hoveredLink.bias.toFixed(4)}</div>
+            </div>
+          )}
+        </div>
+        {selectedNeuron && (
+          <div className="lg:w-80 shrink-0">
+            <NeuronInspector
+              model={model}
+              schema={schema}
+              samples={samples}
+              layers={layers}
+              neuron={selectedNeuron}
+              weights={shownWeights}
+              inputLabels={inputLabels}
+              currentActivation={snapshot ? undefined : activations?.[selectedNeuron.layer]?.[selectedNeuron.index]}
+              onClose={() => setSelectedNeuron(null)}
+            />
+          </div>
+        )}
+      </div>
+      {snapshots.length > 1 && (
+        <div className="flex items-center gap-4 mt-3">
+          {playing ? (
+            <Button variant="outlined" size="small" onClick={() => setPlaying(false)}>Pause</Button>
+          ) : (
+            <Button variant="outlined" size="small" onClick={play}>Play</Button>
+          )}
+          <Slider
+            value={frame ?? lastFrame}
+            min={0}
+            max={lastFrame}
+            step={1}
+            onChange={(e, value) => {
+              setPlaying(false);
+              setFrame(value);
+            }}
+            valueLabelDisplay="auto"
+            valueLabelFormat={frameLabel}
+            className="flex-1"
+          />
+          <Button size="small" onClick={() => { setPlaying(false); setFrame(null); }} disabled={frame === null}>
+            Live
+          </Button>
+        </div>
+      )}
+      <p className="mt-2 text-sm text-gray-600">
+        {snapshot && `${frameLabel(frame)} of ${snapshots[lastFrame].epoch + 1} · node colours show mean activations over the validation sample · `}
+        {maxWeight > 0
+          ? `Weight range: ±${maxWeight.toFixed(3)} (colours and thickness scaled to this range)`
+          : 'Weights will appear once the first training epoch finishes.'}
+      </p>
       <div className="mt-6 p-4 bg-white rounded-lg shadow-lg">
         <h3 className="text-lg font-semibold mb-3">Understanding the Neural Network Visualization</h3>
         <div className="space-y-4">
@@ -172,21 +363,28 @@ const NeuralNetworkViz = ({ inputs, weights, activations }) => {
             <ul className="list-disc ml-6 mt-2">
               <li>Input Layer: Normalized input values for each personality feature</li>
               <li>Hidden Layers: Intermediate features learned by the network</li>
-              <li>Output Layer: Final prediction (closer to 1 = Introvert, closer to 0 = Extrovert)</li>
+              <li>Output Layer: Final prediction: the probability of the positive class, one probability per class for multi-class targets, or the predicted value for numeric targets</li>
             </ul>
           </div>
           <div>
             <h4 className="font-medium">Node Colors</h4>
             <p className="text-gray-700">The color intensity represents the activation strength - darker colors indicate higher values.</p>
+            <p className="text-gray-700">The halo around each input node shows its contribution to the current prediction: green pushes towards the positive class, red away from it, and a larger halo means a stronger effect.</p>
           </div>
           <div>
             <h4 className="font-medium">Connections</h4>
             <ul className="list-disc ml-6">
               <li>Green lines: Positive weights (reinforcing connections)</li>
               <li>Red lines: Negative weights (inhibiting connections)</li>
-              <li>Line thickness: Magnitude of the weight</li>
+              <li>Line thickness: Magnitude of the weight relative to the largest weight in the network</li>
+              <li>Hover a line to see its exact weight and the bias of the neuron it feeds</li>
+              <li>Click a hidden or output neuron to inspect its incoming weights, bias and activations; scroll to zoom and drag to pan</li>
             </ul>
           </div>
+          <div>
+            <h4 className="font-medium">Training Playback</h4>
+            <p className="text-gray-700">The weights and the average activation of every neuron are recorded after each epoch. Press Play or drag the timeline to watch the connections form, from the random initial weights to the trained network; Live returns to the current model and inputs.</p>
+          </div>
         </div>
       </div>
     </div>
@@ -0,0 +1,131 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import * as d3 from 'd3';
+import { Typography, Box, Button, CircularProgress, Alert } from '@mui/material';
+import { Bar } from 'react-chartjs-2';
+import { inspectNeuron } from '../utils/neuronInspection';
+import { formatColumnName } from '../utils/schema';
+
+const HISTOGRAM_BINS = 20;
+
+const NeuronInspector = ({ model, schema, samples, layers, neuron, weights, inputLabels, currentActivation, onClose }) => {
+  const [inspection, setInspection] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const { layer, index } = neuron;
+
+  useEffect(() => {
+    if (!model || !schema || !samples) {
+      setInspection(null);
+      return undefined;
+    }
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    inspectNeuron(model, schema.preprocessor, samples, layer - 1, index).then(result => {
+      if (!cancelled) {
+        setInspection(result);
+        setLoading(false);
+      }
+    }).catch(err => {
+      if (!cancelled) {
+        setError(`Could not inspect the neuron: ${err.message}`);
+        setLoading(false);
+      }
+    });
+    return () => { cancelled = true; };
+  }, [model, schema, samples, layer, index]);
+
+  // Incoming connections, strongest first
+  const incoming = useMemo(() => {
+    const kernel = weights?.[layer - 1]?.kernel || [];
+    return kernel
+      .map((row, source) => ({
+        label: layer === 1 ? inputLabels[source] : `${layers[layer - 1].name} #${source + 1}`,
+        weight: row[index]
+      }))
+      .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight));
+  }, [weights, layer, index, layers, inputLabels]);
+  const bias = weights?.[layer - 1]?.bias?.[index];
+
+  const histogram = useMemo(() => {
+    if (!inspection || inspection.validation.length === 0) return null;
+    const bins = d3.bin().thresholds(HISTOGRAM_BINS)(inspection.validation);
+    return {
+      labels: bins.map(bin => `${bin.x0.toFixed(2)}–${bin.x1.toFixed(2)}`),
+      datasets: [{
+        label: 'Validation rows',
+        data: bins.map(bin => bin.length),
+        backgroundColor: 'rgba(54, 162, 235, 0.6)'
+      }]
+    };
+  }, [inspection]);
+
+  return (
+    <Box className="p-4 bg-white rounded-lg shadow-lg">
+      <div className="flex items-center justify-between">
+        <Typography variant="h6">{layers[layer].name} · neuron #{index + 1}</Typography>
+        <Button size="small" onClick={onClose}>Close</Button>
+      </div>
+      <Typography variant="body2" className="text-gray-600">
+        Bias: {bias !== undefined ? bias.toFixed(4) : '–'}
+        {currentActivation !== undefined && ` · activation for the current inputs: ${currentActivation.toFixed(3)}`}
+      </Typography>
+
+      <Typography variant="subtitle2" className="mt-3">Incoming weights</Typography>
+      <div className="max-h-48 overflow-y-auto text-sm">
+        {incoming.map(({ label, weight }) => (
+          <div key={label} className="flex justify-between gap-2">
+            <span className="truncate">{label}</span>
+            <span className={weight >= 0 ? 'text-green-700' : 'text-red-600'}>{weight.toFixed(4)}</span>
+          </div>
+        ))}
+      </div>
+
+      {!samples ? (
+        <Typography variant="body2" className="mt-3 text-gray-500">
+          Activation statistics are available once training has finished.
+        </Typography>
+      ) : error ? (
+        <Alert severity="error" className="mt-3">{error}</Alert>
+      ) : loading || !inspection ? (
+        <CircularProgress size={24} className="mt-3" />
+      ) : (
+        <>
+          <Typography variant="subtitle2" className="mt-3">Activation over the validation set</Typography>
+          {histogram ? (
+            <div className="h-40">
+              <Bar
+                data={histogram}
+                options={{
+                  responsive: true,
+                  maintainAspectRatio: false,
+                  animation: false,
+                  plugins: { legend: { display: false } },
+                  scales: { x: { ticks: { maxTicksLimit: 5 } }, y: { title: { display: true, text: 'Rows' } } }
+                }}
+              />
+            </div>
+          ) : (
+            <Typography variant="body2" className="text-gray-500">No validation rows in this split.</Typography>
+          )}
+
+          <Typography variant="subtitle2" className="mt-3">Training rows that activate it most</Typography>
+          <div className="space-y-2 text-xs">
+            {inspection.topSamples.map(({ value, row }, rank) => (
+              <div key={rank} className="p-2 bg-gray-50 rounded">
+                <div className="font-medium">
+                  {value.toFixed(3)} · {formatColumnName(schema.target)}: {row[schema.target]}
+                </div>
+                <div className="text-gray-600">
+                  {schema.columns.map(column => `${formatColumnName(column.name)}: ${row[column.name] ?? '–'}`).join(', ')}
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default NeuronInspector;
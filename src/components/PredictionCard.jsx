@@ -0,0 +1,151 @@
+import React from 'react';
+import * as d3 from 'd3';
+import { Paper, Typography, Button, Alert } from '@mui/material';
+import { Bar } from 'react-chartjs-2';
+import { predictedClasses } from '../utils/metrics';
+import { formatColumnName } from '../utils/schema';
+
+const SAMPLE_LABELS = {
+  mcDropout: 'dropout passes',
+  ensemble: 'ensemble members'
+};
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// Histogram of the sampled outputs behind an uncertain prediction
+const sampleHistogram = (summary, task) => {
+  const domain = task === 'regression' ? d3.extent(summary.values) : [0, 1];
+  const bins = d3.bin()
+    .domain(domain[0] === domain[1] ? [domain[0] - 0.5, domain[1] + 0.5] : domain)
+    .thresholds(task === 'regression' ? 15 : 20)(summary.values);
+  return {
+    labels: bins.map(bin => `${bin.x0.toFixed(2)}–${bin.x1.toFixed(2)}`),
+    datasets: [{
+      label: 'Samples',
+      data: bins.map(bin => bin.length),
+      backgroundColor: 'rgba(153, 102, 255, 0.7)'
+    }]
+  };
+};
+
+// The model output for the current inputs: the class and its probability,
+// every class probability for multi-class targets, or the predicted value.
+// With an uncertainty estimate the card shows the mean over the samples, its
+// interval and their distribution instead.
+const PredictionCard = ({ schema, prediction, threshold, whatIfBase, onUndo, uncertainty }) => {
+  const task = schema?.task ?? 'binary';
+  const heading = schema ? formatColumnName(schema.target) : 'Personality';
+  const summary = uncertainty?.summary;
+  // Binary schemas saved before multi-class support have no class list
+  const classes = task === 'binary' ? [schema?.negativeClass, schema?.positiveClass] : schema?.classes;
+
+  const describeUncertain = () => {
+    const [low, high] = summary.interval;
+    const interval = `${Math.round(summary.level * 100)}% interval`;
+    if (task === 'regression') return `${summary.mean.toFixed(3)} (${interval} ${low.toFixed(3)} – ${high.toFixed(3)})`;
+    return `${classes[summary.predicted]} (${percent(summary.mean)}, ${interval} ${percent(low)} – ${percent(high)})`;
+  };
+
+  const describe = () => {
+    if (!prediction) return 'Training...';
+    if (summary) return describeUncertain();
+    if (task === 'regression') return prediction[0].toFixed(3);
+    if (task === 'multiclass') {
+      const [best] = predictedClasses([prediction]);
+      return `${schema.classes[best]} (${(prediction[best] * 100).toFixed(1)}%)`;
+    }
+    const [p] = prediction;
+    return p > threshold
+      ? `${schema.positiveClass} (${(p * 100).toFixed(1)}%)`
+      : `${schema.negativeClass} (${((1 - p) * 100).toFixed(1)}%)`;
+  };
+
+  return (
+    <Paper elevation={6} className="p-4 mb-6 bg-gradient-to-r from-blue-100 to-purple-100">
+      <Typography variant="h5" align="center">
+        {heading} Prediction: {describe()}
+      </Typography>
+      {summary && (
+        <div className="mt-3 mx-auto max-w-xl">
+          <Typography variant="body2" align="center" className="text-gray-700">
+            Mean over {uncertainty.count} {SAMPLE_LABELS[uncertainty.method]}
+            {task !== 'regression' && ` · ${percent(summary.agreement)} of them predict ${classes[summary.predicted]}`}
+            {' '}· std {task === 'regression' ? summary.std.toFixed(3) : percent(summary.std)}
+          </Typography>
+          <div className="h-32">
+            <Bar
+              data={sampleHistogram(summary, task)}
+              options={{
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: { legend: { display: false } },
+                scales: {
+                  x: {
+                    ticks: { maxTicksLimit: 6 },
+                    title: {
+                      display: true,
+                      text: task === 'regression' ? formatColumnName(schema.target) : `P(${classes[summary.predicted]})`
+                    }
+                  },
+                  y: { title: { display: true, text: 'Samples' } }
+                }
+              }}
+            />
+          </div>
+          {uncertainty.contested && (
+            <Alert severity="warning" className="mt-2">
+              {task === 'regression'
+                ? `The ${SAMPLE_LABELS[uncertainty.method]} spread widely for these inputs; the value is uncertain.`
+                : `The ${SAMPLE_LABELS[uncertainty.method]} disagree: only ${percent(summary.agreement)} predict ${classes[summary.predicted]}.`}
+            </Alert>
+          )}
+          {uncertainty.distribution?.outlying && (
+            <Alert severity="warning" className="mt-2">
+              These inputs are far from every training row (distance {uncertainty.distribution.distance.toFixed(2)},
+              while 99% of training rows have a neighbour within {uncertainty.distribution.threshold.toFixed(2)});
+              the model is extrapolating.
+            </Alert>
+          )}
+        </div>
+      )}
+      {task === 'multiclass' && prediction && (
+        <div className="mt-3 mx-auto max-w-xl" style={{ height: Math.max(120, schema.classes.length * 28) }}>
+          <Bar
+            data={{
+              labels: schema.classes,
+              datasets: [{
+                label: 'Probability',
+                data: prediction,
+                backgroundColor: 'rgba(54, 162, 235, 0.7)'
+              }]
+            }}
+            options={{
+              indexAxis: 'y',
+              responsive: true,
+              maintainAspectRatio: false,
+              animation: false,
+              plugins: {
+                legend: { display: false },
+                tooltip: { callbacks: { label: (context) => `${(context.raw * 100).toFixed(1)}%` } }
+              },
+              scales: { x: { min: 0, max: 1 } }
+            }}
+          />
+        </div>
+      )}
+      {whatIfBase && prediction && (
+        <div className="flex items-center justify-center gap-3 mt-2">
+          <Typography variant="body2">
+            P({schema.positiveClass}): {(whatIfBase.probability * 100).toFixed(1)}% before the
+            counterfactual → {(prediction[0] * 100).toFixed(1)}% now
+            ({prediction[0] >= whatIfBase.probability ? '+' : ''}{((prediction[0] - whatIfBase.probability) * 100).toFixed(1)} points)
+          </Typography>
+          <Button size="small" onClick={onUndo}>Undo</Button>
+        </div>
+      )}
+    </Paper>
+  );
+};
+
+export default PredictionCard;
@@ -0,0 +1,55 @@
+import React from 'react';
+import { Typography, Box, Button, Slider, Select, MenuItem } from '@mui/material';
+import { formatColumnName } from '../utils/schema';
+
+// One control per feature column: sliders for numeric columns, a toggle for
+// binary ones and a dropdown for categorical ones.
+const PredictionInputs = ({ columns, inputs, onChange }) => {
+  const setValue = (name, value) => onChange(prev => ({ ...prev, [name]: value }));
+
+  return (
+    <Box className="mb-6">
+      {columns.map(column => (
+        <div key={column.name}>
+          <Typography gutterBottom>{formatColumnName(column.name)}</Typography>
+          {column.type === 'numeric' && (
+            <Slider
+              value={Number(inputs[column.name])}
+              onChange={(e, value) => setValue(column.name, value)}
+              min={column.min}
+              max={column.max}
+              step={column.step}
+              valueLabelDisplay="auto"
+            />
+          )}
+          {column.type === 'binary' && (
+            <Button
+              variant={inputs[column.name] === column.values[1] ? 'contained' : 'outlined'}
+              onClick={() => setValue(
+                column.name,
+                inputs[column.name] === column.values[1] ? column.values[0] : column.values[1]
+              )}
+              className="mb-4"
+            >
+              {inputs[column.name]}
+            </Button>
+          )}
+          {column.type === 'categorical' && (
+            <Select
+              size="small"
+              value={inputs[column.name]}
+              onChange={(e) => setValue(column.name, e.target.value)}
+              className="mb-4 min-w-[12rem]"
+            >
+              {column.values.map(value => (
+                <MenuItem key={value} value={value}>{value}</MenuItem>
+              ))}
+            </Select>
+          )}
+        </div>
+      ))}
+    </Box>
+  );
+};
+
+export default PredictionInputs;
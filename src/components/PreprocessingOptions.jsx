@@ -0,0 +1,36 @@
+import React from 'react';
+import { Typography, Box, Select, MenuItem, FormControl, InputLabel } from '@mui/material';
+import { SCALING_OPTIONS, ENCODING_OPTIONS, IMPUTATION_OPTIONS } from '../utils/preprocessing';
+
+const OPTION_GROUPS = [
+  { field: 'scaling', label: 'Numeric scaling', options: SCALING_OPTIONS },
+  { field: 'encoding', label: 'Categorical encoding', options: ENCODING_OPTIONS },
+  { field: 'imputation', label: 'Missing values', options: IMPUTATION_OPTIONS }
+];
+
+const PreprocessingOptions = ({ config, onChange, disabled }) => (
+  <Box className="mt-4">
+    <Typography variant="subtitle2" gutterBottom>Preprocessing</Typography>
+    <div className="flex flex-wrap gap-3">
+      {OPTION_GROUPS.map(({ field, label, options }) => (
+        <FormControl key={field} size="small" className="w-56" disabled={disabled}>
+          <InputLabel>{label}</InputLabel>
+          <Select
+            label={label}
+            value={config[field]}
+            onChange={(e) => onChange({ ...config, [field]: e.target.value })}
+          >
+            {Object.entries(options).map(([value, optionLabel]) => (
+              <MenuItem key={value} value={value}>{optionLabel}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      ))}
+    </div>
+    <Typography variant="caption" className="text-gray-500">
+      Fitted on the training split only. Binary and categorical columns are imputed with their most frequent value.
+    </Typography>
+  </Box>
+);
+
+export default PreprocessingOptions;
@@ -0,0 +1,113 @@
+import React, { useMemo } from 'react';
+import * as d3 from 'd3';
+import { Typography, Box } from '@mui/material';
+import { Line, Bar } from 'react-chartjs-2';
+import { computeRegressionMetrics } from '../utils/metrics';
+import { formatColumnName } from '../utils/schema';
+
+const RESIDUAL_BINS = 20;
+
+const RegressionEvaluation = ({ validation, target }) => {
+  const summary = useMemo(() => {
+    if (!validation) return null;
+    const { predictions, labels } = validation;
+    const [min, max] = d3.extent([...predictions, ...labels]);
+    const residuals = predictions.map((prediction, i) => labels[i] - prediction);
+    return {
+      metrics: computeRegressionMetrics(predictions, labels),
+      points: predictions.map((prediction, i) => ({ x: labels[i], y: prediction })),
+      range: [min, max],
+      residuals: d3.bin().thresholds(RESIDUAL_BINS)(residuals)
+    };
+  }, [validation]);
+
+  if (!validation) {
+    return (
+      <Box>
+        <Typography variant="h4" gutterBottom>Evaluation</Typography>
+        <Typography variant="body1" className="text-gray-600">
+          The evaluation dashboard appears once a model has finished training.
+        </Typography>
+      </Box>
+    );
+  }
+
+  const name = formatColumnName(target);
+  const { metrics, points, range, residuals } = summary;
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>Evaluation</Typography>
+      <Typography variant="body2" className="text-gray-600 mb-3">
+        Validation RMSE {metrics.rmse.toFixed(3)}, MAE {metrics.mae.toFixed(3)}, R² {metrics.r2.toFixed(3)}.
+        Points on the diagonal are predicted exactly.
+      </Typography>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="h-80">
+          <Line
+            data={{
+              datasets: [
+                {
+                  label: 'Validation rows',
+                  data: points,
+                  borderColor: 'rgba(54, 162, 235, 0.8)',
+                  backgroundColor: 'rgba(54, 162, 235, 0.4)',
+                  pointRadius: 3,
+                  showLine: false
+                },
+                {
+                  label: 'Perfect prediction',
+                  data: range.map(value => ({ x: value, y: value })),
+                  borderColor: 'rgb(180, 180, 180)',
+                  borderDash: [6, 4],
+                  pointRadius: 0
+                }
+              ]
+            }}
+            options={{
+              responsive: true,
+              maintainAspectRatio: false,
+              animation: false,
+              plugins: {
+                legend: { position: 'bottom' },
+                title: { display: true, text: 'Predicted vs Actual' }
+              },
+              scales: {
+                x: { type: 'linear', title: { display: true, text: `Actual ${name}` } },
+                y: { title: { display: true, text: `Predicted ${name}` } }
+              }
+            }}
+          />
+        </div>
+        <div className="h-80">
+          <Bar
+            data={{
+              labels: residuals.map(bin => `${bin.x0.toFixed(2)}–${bin.x1.toFixed(2)}`),
+              datasets: [{
+                label: 'Rows',
+                data: residuals.map(bin => bin.length),
+                backgroundColor: 'rgba(153, 102, 255, 0.6)'
+              }]
+            }}
+            options={{
+              responsive: true,
+              maintainAspectRatio: false,
+              animation: false,
+              plugins: {
+                legend: { display: false },
+                title: { display: true, text: 'Residuals (actual − predicted)' }
+              },
+              scales: {
+                x: { ticks: { maxTicksLimit: 8 } },
+                y: { min: 0, title: { display: true, text: 'Rows' } }
+              }
+            }}
+          />
+        </div>
+      </div>
+    </Box>
+  );
+};
+
+export default RegressionEvaluation;
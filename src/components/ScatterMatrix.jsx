@@ -0,0 +1,82 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import * as d3 from 'd3';
+import { isMissing, formatColumnName } from '../utils/schema';
+import { createRng, shuffle } from '../utils/splits';
+
+const CELL = 120;
+const PADDING = 12;
+const MAX_POINTS = 600;
+
+// Every pair of numeric columns on a shared grid, points coloured by class.
+// Large datasets are sampled so the plot stays responsive.
+const ScatterMatrix = ({ rows, columns, target, color }) => {
+  const svgRef = useRef();
+  const size = columns.length * CELL;
+  const sample = useMemo(
+    () => shuffle(rows, createRng(42)).slice(0, MAX_POINTS),
+    [rows]
+  );
+
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    if (columns.length === 0) return;
+
+    const scales = columns.map(column => d3.scaleLinear()
+      .domain(d3.extent(sample, row => (isMissing(row[column.name]) ? undefined : Number(row[column.name]))))
+      .nice()
+      .range([PADDING / 2, CELL - PADDING / 2]));
+
+    const g = svg.append("g").attr("transform", `translate(${PADDING},${PADDING})`);
+    const pairs = d3.cross(d3.range(columns.length), d3.range(columns.length));
+
+    const cell = g.selectAll(".cell")
+      .data(pairs)
+      .enter()
+      .append("g")
+      .attr("class", "cell")
+      .attr("transform", ([i, j]) => `translate(${j * CELL},${i * CELL})`);
+
+    cell.append("rect")
+      .attr("x", PADDING / 2 - 0.5)
+      .attr("y", PADDING / 2 - 0.5)
+      .attr("width", CELL - PADDING)
+      .attr("height", CELL - PADDING)
+      .style("fill", "none")
+      .style("stroke", "#ccc");
+
+    // Off-diagonal: scatter of column j (x) against column i (y)
+    cell.filter(([i, j]) => i !== j).each(function ([i, j]) {
+      const x = scales[j];
+      const y = scales[i].copy().range([CELL - PADDING / 2, PADDING / 2]);
+      d3.select(this).selectAll("circle")
+        .data(sample.filter(row => !isMissing(row[columns[i].name]) && !isMissing(row[columns[j].name])))
+        .enter()
+        .append("circle")
+        .attr("cx", row => x(Number(row[columns[j].name])))
+        .attr("cy", row => y(Number(row[columns[i].name])))
+        .attr("r", 2)
+        .style("fill", row => color(String(row[target]).trim()))
+        .style("fill-opacity", 0.5);
+    });
+
+    // Diagonal: the column name
+    cell.filter(([i, j]) => i === j)
+      .append("text")
+      .attr("x", CELL / 2)
+      .attr("y", CELL / 2)
+      .attr("text-anchor", "middle")
+      .attr("dy", ".35em")
+      .style("font-size", "11px")
+      .style("font-weight", "bold")
+      .text(([i]) => formatColumnName(columns[i].name));
+  }, [sample, columns, target, color]);
+
+  return (
+    <div className="overflow-x-auto">
+      <svg ref={svgRef} width={size + PADDING * 2} height={size + PADDING * 2} />
+    </div>
+  );
+};
+
+export default ScatterMatrix;
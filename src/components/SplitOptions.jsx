@@ -0,0 +1,64 @@
+import React from 'react';
+import { Typography, Box, TextField, Select, MenuItem, FormControl, InputLabel } from '@mui/material';
+
+const SplitOptions = ({ config, onChange, disabled }) => {
+  const updateNumber = (field, parse, min, max) => (e) => {
+    const value = parse(e.target.value);
+    onChange({ ...config, [field]: Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : min });
+  };
+  // Training always keeps at least 10% of the rows
+  const updateRatio = (field) => updateNumber(field, (v) => parseFloat(v) / 100, field === 'trainRatio' ? 0.1 : 0, 1);
+  const total = config.trainRatio + config.valRatio + config.testRatio;
+
+  return (
+    <Box className="mt-4">
+      <Typography variant="subtitle2" gutterBottom>Data Split</Typography>
+      <div className="flex flex-wrap gap-3">
+        <FormControl size="small" className="w-48" disabled={disabled}>
+          <InputLabel>Evaluation</InputLabel>
+          <Select
+            label="Evaluation"
+            value={config.mode}
+            onChange={(e) => onChange({ ...config, mode: e.target.value })}
+          >
+            <MenuItem value="holdout">Train / validation / test</MenuItem>
+            <MenuItem value="kfold">K-fold cross-validation</MenuItem>
+          </Select>
+        </FormControl>
+        {[['trainRatio', 'Train %'], ['valRatio', 'Validation %'], ['testRatio', 'Test %']].map(([field, label]) => (
+          <TextField
+            key={field}
+            label={label}
+            type="number"
+            size="small"
+            value={Math.round(config[field] * 100)}
+            onChange={updateRatio(field)}
+            inputProps={{ min: 0, max: 100, step: 5 }}
+            disabled={disabled}
+            className="w-28"
+          />
+        ))}
+        {config.mode === 'kfold' && (
+          <TextField
+            label="Folds (k)"
+            type="number"
+            size="small"
+            value={config.folds}
+            onChange={updateNumber('folds', (v) => parseInt(v, 10), 2, 20)}
+            inputProps={{ min: 2, max: 20 }}
+            disabled={disabled}
+            className="w-24"
+          />
+        )}
+      </div>
+      <Typography variant="caption" className="text-gray-500">
+        {config.mode === 'kfold'
+          ? `The test part is held out; ${config.folds} stratified folds rotate over train + validation.`
+          : 'Rows are shuffled with the random seed from the training controls and stratified by the target column.'}
+        {Math.abs(total - 1) > 0.001 && ` Ratios are rescaled to add up to 100% (currently ${Math.round(total * 100)}%).`}
+      </Typography>
+    </Box>
+  );
+};
+
+export default SplitOptions;
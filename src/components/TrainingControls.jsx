@@ -0,0 +1,177 @@
+import React from 'react';
+import {
+  Typography,
+  Box,
+  Button,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  LinearProgress,
+  Alert,
+  FormControlLabel,
+  Checkbox
+} from '@mui/material';
+import { OPTIMIZERS } from '../utils/training';
+
+const STATUS_LABELS = {
+  idle: 'Not trained yet',
+  training: 'Training',
+  paused: 'Paused',
+  stopped: 'Stopped',
+  earlyStopped: 'Finished by early stopping',
+  finished: 'Finished',
+  cancelled: 'Cancelled'
+};
+
+const TrainingControls = ({
+  config,
+  onChange,
+  status,
+  epochsCompleted,
+  phaseLabel,
+  onStart,
+  onPause,
+  onResume,
+  onStop,
+  onCancel,
+  batchProgress,
+  error,
+  onDownloadManifest,
+  disabled
+}) => {
+  const isRunning = status === 'training' || status === 'paused';
+
+  const updateNumber = (field, parse, min) => (e) => {
+    const value = parse(e.target.value);
+    onChange({ ...config, [field]: Number.isFinite(value) ? Math.max(min, value) : min });
+  };
+
+  return (
+    <Box className="mb-6">
+      <Typography variant="h6" gutterBottom>Training Controls</Typography>
+
+      <div className="flex flex-wrap items-center gap-3 mt-3">
+        <FormControl size="small" className="w-32" disabled={isRunning}>
+          <InputLabel>Optimizer</InputLabel>
+          <Select
+            label="Optimizer"
+            value={config.optimizer}
+            onChange={(e) => onChange({ ...config, optimizer: e.target.value })}
+          >
+            {Object.entries(OPTIMIZERS).map(([key, { label }]) => (
+              <MenuItem key={key} value={key}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          label="Learning rate"
+          type="number"
+          size="small"
+          value={config.learningRate}
+          onChange={updateNumber('learningRate', parseFloat, 0.00001)}
+          inputProps={{ min: 0.00001, step: 0.0005 }}
+          disabled={isRunning}
+          className="w-32"
+        />
+        <TextField
+          label="Epochs"
+          type="number"
+          size="small"
+          value={config.epochs}
+          onChange={updateNumber('epochs', (v) => parseInt(v, 10), 1)}
+          inputProps={{ min: 1, max: 1000 }}
+          disabled={isRunning}
+          className="w-24"
+        />
+        <TextField
+          label="Batch size"
+          type="number"
+          size="small"
+          value={config.batchSize}
+          onChange={updateNumber('batchSize', (v) => parseInt(v, 10), 1)}
+          inputProps={{ min: 1, max: 1024 }}
+          disabled={isRunning}
+          className="w-24"
+        />
+        <TextField
+          label="Early-stopping patience"
+          type="number"
+          size="small"
+          value={config.patience}
+          onChange={updateNumber('patience', (v) => parseInt(v, 10), 0)}
+          inputProps={{ min: 0 }}
+          helperText="0 disables early stopping"
+          disabled={isRunning}
+          className="w-48"
+        />
+        <TextField
+          label="Random seed"
+          type="number"
+          size="small"
+          value={config.seed}
+          onChange={updateNumber('seed', (v) => parseInt(v, 10), 0)}
+          inputProps={{ min: 0 }}
+          helperText="Same seed, same run"
+          disabled={isRunning}
+          className="w-32"
+        />
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={Boolean(config.compareBaselines)}
+              onChange={(e) => onChange({ ...config, compareBaselines: e.target.checked })}
+            />
+          }
+          label="Also train baselines"
+          disabled={isRunning}
+        />
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mt-4">
+        <Button variant="contained" onClick={onStart} disabled={isRunning || disabled}>
+          {status === 'idle' ? 'Start Training' : 'Retrain'}
+        </Button>
+        {status === 'paused' ? (
+          <Button variant="outlined" onClick={onResume}>Resume</Button>
+        ) : (
+          <Button variant="outlined" onClick={onPause} disabled={status !== 'training'}>Pause</Button>
+        )}
+        <Button variant="outlined" color="error" onClick={onStop} disabled={!isRunning}>
+          Stop
+        </Button>
+        <Button variant="text" color="error" onClick={onCancel} disabled={!isRunning}>
+          Cancel
+        </Button>
+        <Button variant="text" onClick={onDownloadManifest} disabled={!onDownloadManifest || isRunning}>
+          Download run manifest
+        </Button>
+        <Typography variant="body2" className="text-gray-600">
+          {STATUS_LABELS[status]} · {phaseLabel && `${phaseLabel} · `}epoch {epochsCompleted}/{config.epochs}
+        </Typography>
+      </div>
+
+      {isRunning && (
+        <>
+          <LinearProgress
+            variant="determinate"
+            value={(epochsCompleted / config.epochs) * 100}
+            className="mt-3"
+          />
+          {batchProgress && (
+            <Typography variant="caption" className="text-gray-500">
+              Batch {batchProgress.batch}/{batchProgress.batchesPerEpoch} of epoch {batchProgress.epoch + 1}
+            </Typography>
+          )}
+        </>
+      )}
+      <Typography variant="caption" className="block text-gray-500">
+        Training runs in a background worker. Stop keeps the weights learned so far; Cancel discards the run.
+      </Typography>
+      {error && <Alert severity="error" className="mt-3">Training failed: {error}</Alert>}
+    </Box>
+  );
+};
+
+export default TrainingControls;
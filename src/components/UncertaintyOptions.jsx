@@ -0,0 +1,120 @@
+import React from 'react';
+import {
+  Typography,
+  Box,
+  Button,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  LinearProgress
+} from '@mui/material';
+import { UNCERTAINTY_MODES } from '../utils/uncertainty';
+
+const LEVELS = [0.8, 0.9, 0.95];
+
+// How the prediction card estimates its uncertainty: sampling the live model
+// with dropout on, or a separately trained ensemble of seeded models
+const UncertaintyOptions = ({
+  config,
+  onChange,
+  modelHasDropout,
+  members,
+  ensembleStatus,
+  ensembleProgress,
+  onTrainEnsemble,
+  onStopEnsemble,
+  canTrainEnsemble,
+  hasReference
+}) => {
+  const isTraining = ensembleStatus === 'training';
+
+  const updateNumber = (field, min, max) => (e) => {
+    const value = parseInt(e.target.value, 10);
+    onChange({ ...config, [field]: Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : min });
+  };
+
+  return (
+    <Box className="mb-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <FormControl size="small" className="w-56">
+          <InputLabel>Uncertainty</InputLabel>
+          <Select label="Uncertainty" value={config.mode} onChange={(e) => onChange({ ...config, mode: e.target.value })}>
+            {Object.entries(UNCERTAINTY_MODES).map(([key, label]) => (
+              <MenuItem key={key} value={key}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        {config.mode !== 'off' && (
+          <FormControl size="small" className="w-32">
+            <InputLabel>Interval</InputLabel>
+            <Select label="Interval" value={config.level} onChange={(e) => onChange({ ...config, level: e.target.value })}>
+              {LEVELS.map(level => (
+                <MenuItem key={level} value={level}>{level * 100}%</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        )}
+        {config.mode === 'mcDropout' && (
+          <TextField
+            label="Passes"
+            type="number"
+            size="small"
+            value={config.passes}
+            onChange={updateNumber('passes', 2, 1000)}
+            inputProps={{ min: 2, max: 1000 }}
+            className="w-28"
+          />
+        )}
+        {config.mode === 'ensemble' && (
+          <>
+            <TextField
+              label="Members"
+              type="number"
+              size="small"
+              value={config.members}
+              onChange={updateNumber('members', 2, 20)}
+              inputProps={{ min: 2, max: 20 }}
+              disabled={isTraining}
+              className="w-28"
+            />
+            <Button variant="outlined" onClick={onTrainEnsemble} disabled={isTraining || !canTrainEnsemble}>
+              {members > 0 ? 'Retrain ensemble' : 'Train ensemble'}
+            </Button>
+            <Button variant="outlined" color="error" onClick={onStopEnsemble} disabled={!isTraining}>
+              Stop
+            </Button>
+          </>
+        )}
+      </div>
+
+      {config.mode === 'mcDropout' && !modelHasDropout && (
+        <Typography variant="body2" className="text-gray-600 mt-2">
+          The model has no dropout layers to sample; add dropout in the architecture builder and retrain.
+        </Typography>
+      )}
+      {config.mode === 'ensemble' && (
+        <Typography variant="body2" className="text-gray-600 mt-2">
+          {isTraining
+            ? `Training member ${Math.min(ensembleProgress.done + 1, ensembleProgress.total)} of ${ensembleProgress.total}…`
+            : members > 0
+              ? `${members} members trained with the current model's settings and consecutive seeds.`
+              : canTrainEnsemble
+                ? 'Trains several copies of the current model\'s configuration with different seeds, one after another.'
+                : 'Train a model in this session first; the ensemble reuses its settings.'}
+        </Typography>
+      )}
+      {isTraining && (
+        <LinearProgress variant="determinate" value={(ensembleProgress.done / ensembleProgress.total) * 100} className="mt-2" />
+      )}
+      {config.mode !== 'off' && !hasReference && (
+        <Typography variant="caption" className="block text-gray-500 mt-1">
+          Out-of-distribution checks need the training rows of this session and are skipped for loaded models.
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default UncertaintyOptions;
@@ -0,0 +1,129 @@
+import * as tf from '@tensorflow/tfjs';
+import { transformRow, transformRows, getFeatureSources, baselineRow } from './preprocessing';
+import { createRng, shuffle } from './splits';
+
+export const ATTRIBUTION_METHODS = {
+  gradientInput: 'Gradient × (input − baseline)',
+  integratedGradients: 'Integrated gradients',
+  occlusion: 'Occlusion',
+  shapley: 'Shapley sampling'
+};
+
+const INTEGRATION_STEPS = 32;
+const SHAPLEY_PERMUTATIONS = 48;
+
+// Models with several outputs (one per class) are explained one output at a
+// time, so every helper reads a single output column
+const predictRows = async (model, encodedRows, outputIndex) => {
+  const output = tf.tidy(() =>
+    model.predict(tf.tensor2d(encodedRows)).slice([0, outputIndex], [-1, 1])
+  );
+  const values = Array.from(await output.data());
+  output.dispose();
+  return values;
+};
+
+// d(output)/d(input) for every row
+const gradients = async (model, encodedRows, outputIndex) => {
+  const grads = tf.tidy(() => {
+    const gradFn = tf.grad(x =>
+      model.apply(x, { training: false }).slice([0, outputIndex], [-1, 1]).sum()
+    );
+    return gradFn(tf.tensor2d(encodedRows));
+  });
+  const values = await grads.array();
+  grads.dispose();
+  return values;
+};
+
+const gradientTimesInput = async (model, x, baseline, outputIndex) => {
+  const [grad] = await gradients(model, [x], outputIndex);
+  return grad.map((g, i) => g * (x[i] - baseline[i]));
+};
+
+const integratedGradients = async (model, x, baseline, outputIndex) => {
+  const path = Array.from({ length: INTEGRATION_STEPS }, (_, k) => {
+    const alpha = (k + 0.5) / INTEGRATION_STEPS;
+    return x.map((v, i) => baseline[i] + alpha * (v - baseline[i]));
+  });
+  const grads = await gradients(model, path, outputIndex);
+  return x.map((v, i) => {
+    const meanGrad = grads.reduce((sum, g) => sum + g[i], 0) / grads.length;
+    return meanGrad * (v - baseline[i]);
+  });
+};
+
+// Per column: how much the probability drops when that column is reset
+// to its baseline value
+const occlusion = async (model, preprocessor, row, base, outputIndex) => {
+  const occluded = preprocessor.columns.map(column => ({ ...row, [column.name]: base[column.name] }));
+  const [original, ...probabilities] = await predictRows(
+    model,
+    transformRows(preprocessor, [row, ...occluded]),
+    outputIndex
+  );
+  return probabilities.map(p => original - p);
+};
+
+// Monte Carlo Shapley values: columns are switched from the baseline to the
+// actual input in random orders and the marginal changes averaged
+const shapleySampling = async (model, preprocessor, row, base, outputIndex) => {
+  const names = preprocessor.columns.map(column => column.name);
+  const rng = createRng(names.length * 7919);
+  const orders = Array.from({ length: SHAPLEY_PERMUTATIONS }, () => shuffle(names.map((_, i) => i), rng));
+
+  const rows = [];
+  orders.forEach(order => {
+    const current = { ...base };
+    rows.push({ ...current });
+    order.forEach(index => {
+      current[names[index]] = row[names[index]];
+      rows.push({ ...current });
+    });
+  });
+
+  const probabilities = await predictRows(model, transformRows(preprocessor, rows), outputIndex);
+  const totals = names.map(() => 0);
+  orders.forEach((order, k) => {
+    const offset = k * (names.length + 1);
+    order.forEach((index, step) => {
+      totals[index] += probabilities[offset + step + 1] - probabilities[offset + step];
+    });
+  });
+  return totals.map(total => total / orders.length);
+};
+
+// Explains one raw input row. Returns the contribution of every source
+// column (byColumn) and of every encoded model input (byFeature); positive
+// values push the explained output up: the positive class, the class at
+// outputIndex or the predicted value.
+export const explainPrediction = async (model, preprocessor, row, method, outputIndex = 0) => {
+  const base = baselineRow(preprocessor);
+  const sources = getFeatureSources(preprocessor);
+  const names = preprocessor.columns.map(column => column.name);
+
+  if (method === 'occlusion' || method === 'shapley') {
+    const values = method === 'occlusion'
+      ? await occlusion(model, preprocessor, row, base, outputIndex)
+      : await shapleySampling(model, preprocessor, row, base, outputIndex);
+    const byName = Object.fromEntries(names.map((name, i) => [name, values[i]]));
+    return {
+      byColumn: names.map((name, i) => ({ name, value: values[i] })),
+      byFeature: sources.map(name => byName[name])
+    };
+  }
+
+  const x = transformRow(preprocessor, row);
+  const baseline = transformRow(preprocessor, base);
+  const byFeature = method === 'integratedGradients'
+    ? await integratedGradients(model, x, baseline, outputIndex)
+    : await gradientTimesInput(model, x, baseline, outputIndex);
+
+  return {
+    byColumn: names.map(name => ({
+      name,
+      value: byFeature.reduce((sum, value, i) => (sources[i] === name ? sum + value : sum), 0)
+    })),
+    byFeature
+  };
+};
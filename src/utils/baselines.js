@@ -0,0 +1,166 @@
+import * as tf from '@tensorflow/tfjs';
+import { createOptimizer } from './training';
+import { getFeatureNames } from './preprocessing';
+
+const KNN_NEIGHBOURS = 15;
+
+const positiveRate = (labels) =>
+  (labels.length === 0 ? 0 : labels.reduce((sum, label) => sum + label, 0) / labels.length);
+
+// Always predicts the training prior, so its accuracy is the share of the
+// majority class and its AUC is 0.5
+const fitMajority = async (train) => {
+  const prior = positiveRate(train.labels);
+  return {
+    params: { positiveRate: prior },
+    predict: async (features) => features.map(() => prior)
+  };
+};
+
+// A single dense sigmoid unit trained with the same optimizer, epochs and
+// batch size as the network, so the learning curves are comparable. `control`
+// runs after every batch, so pause and stop reach this fit too.
+const fitLogistic = async (train, val, trainingConfig, featureNames, control) => {
+  const model = tf.sequential({
+    layers: [tf.layers.dense({
+      units: 1,
+      activation: 'sigmoid',
+      inputShape: [train.features[0].length],
+      kernelInitializer: tf.initializers.glorotUniform({ seed: trainingConfig.seed })
+    })]
+  });
+  model.compile({ optimizer: createOptimizer(trainingConfig), loss: 'binaryCrossentropy', metrics: ['accuracy'] });
+
+  const xs = tf.tensor2d(train.features);
+  const ys = tf.tensor2d(train.labels, [train.labels.length, 1]);
+  const validationData = val.features.length > 0
+    ? [tf.tensor2d(val.features), tf.tensor2d(val.labels, [val.labels.length, 1])]
+    : undefined;
+  const { history } = await model.fit(xs, ys, {
+    epochs: trainingConfig.epochs,
+    batchSize: trainingConfig.batchSize,
+    validationData,
+    callbacks: control && new tf.CustomCallback({ onBatchEnd: () => control(model) })
+  });
+  tf.dispose([xs, ys, ...(validationData || [])]);
+
+  return {
+    params: { optimizer: trainingConfig.optimizer, learningRate: trainingConfig.learningRate, epochs: trainingConfig.epochs },
+    history: history.loss.map((loss, epoch) => ({
+      epoch,
+      loss,
+      accuracy: history.acc[epoch],
+      valLoss: history.val_loss?.[epoch],
+      valAccuracy: history.val_acc?.[epoch]
+    })),
+    predict: async (features) => {
+      const output = tf.tidy(() => model.predict(tf.tensor2d(features)));
+      const probabilities = Array.from(await output.data());
+      output.dispose();
+      return probabilities;
+    },
+    dispose: () => model.dispose()
+  };
+};
+
+const squaredDistance = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const d = a[i] - b[i];
+    sum += d * d;
+  }
+  return sum;
+};
+
+// Euclidean distance on the encoded features; the probability is the share
+// of positive labels among the k nearest training rows
+const fitKnn = async (train) => {
+  const k = Math.min(KNN_NEIGHBOURS, train.features.length);
+  return {
+    params: { k, distance: 'euclidean' },
+    predict: async (features) => features.map(query => {
+      // Sorted insertion keeps only the k best candidates
+      const nearest = [];
+      train.features.forEach((row, index) => {
+        const distance = squaredDistance(query, row);
+        if (nearest.length === k && distance >= nearest[k - 1].distance) return;
+        let position = nearest.length;
+        while (position > 0 && nearest[position - 1].distance > distance) position--;
+        nearest.splice(position, 0, { distance, label: train.labels[index] });
+        if (nearest.length > k) nearest.pop();
+      });
+      return positiveRate(nearest.map(neighbour => neighbour.label));
+    })
+  };
+};
+
+const gini = (positives, count) => {
+  if (count === 0) return 0;
+  const p = positives / count;
+  return 2 * p * (1 - p);
+};
+
+// One split on one encoded feature, chosen to minimise the weighted Gini
+// impurity; each side predicts its training positive rate
+const fitStump = async (train, val, trainingConfig, featureNames) => {
+  const total = train.labels.length;
+  const totalPositives = train.labels.reduce((sum, label) => sum + label, 0);
+  let best = { impurity: gini(totalPositives, total), feature: 0, threshold: Infinity };
+
+  featureNames.forEach((name, feature) => {
+    const order = train.features.map((row, i) => i).sort((a, b) => train.features[a][feature] - train.features[b][feature]);
+    let leftPositives = 0;
+    for (let n = 1; n < order.length; n++) {
+      leftPositives += train.labels[order[n - 1]];
+      const current = train.features[order[n - 1]][feature];
+      const next = train.features[order[n]][feature];
+      if (current === next) continue;
+      const impurity = (n * gini(leftPositives, n) + (total - n) * gini(totalPositives - leftPositives, total - n)) / total;
+      if (impurity < best.impurity) {
+        best = { impurity, feature, threshold: (current + next) / 2, left: leftPositives / n, right: (totalPositives - leftPositives) / (total - n) };
+      }
+    }
+  });
+
+  // No split improves on the prior (e.g. a single constant feature)
+  if (best.threshold === Infinity) {
+    best.left = totalPositives / total;
+    best.right = best.left;
+  }
+
+  return {
+    params: { feature: featureNames[best.feature], threshold: best.threshold },
+    predict: async (features) => features.map(row => (row[best.feature] <= best.threshold ? best.left : best.right))
+  };
+};
+
+export const BASELINES = {
+  majority: { label: 'Majority class', fit: fitMajority },
+  logistic: { label: 'Logistic regression', fit: fitLogistic },
+  knn: { label: 'k-nearest neighbours', fit: fitKnn },
+  stump: { label: 'Decision stump', fit: fitStump }
+};
+
+// Fits every baseline on the train part of an encoded split and returns the
+// validation/test predictions in the same shape as the network's evaluation
+export const trainBaselines = async (split, trainingConfig, control) => {
+  const featureNames = getFeatureNames(split.preprocessor);
+  const results = [];
+  for (const [id, { label, fit }] of Object.entries(BASELINES)) {
+    const fitted = await fit(split.train, split.val, trainingConfig, featureNames, control);
+    const predictPart = async (part) => (part.features.length === 0 ? null : {
+      probabilities: await fitted.predict(part.features),
+      labels: part.labels
+    });
+    results.push({
+      id,
+      label,
+      params: fitted.params,
+      history: fitted.history || [],
+      validation: await predictPart(split.val),
+      test: await predictPart(split.test)
+    });
+    fitted.dispose?.();
+  }
+  return results;
+};
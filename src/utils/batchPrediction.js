@@ -0,0 +1,54 @@
+import * as tf from '@tensorflow/tfjs';
+import Papa from 'papaparse';
+import { isMissing } from './schema';
+import { transformRows } from './preprocessing';
+
+const BATCH_SIZE = 256;
+
+// Problems with one raw row relative to the columns the model was trained on
+export const validateRow = (columns, row) => {
+  const issues = [];
+  columns.forEach(column => {
+    const value = row[column.name];
+    if (isMissing(value)) {
+      issues.push(`${column.name} missing`);
+    } else if (column.type === 'numeric') {
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        issues.push(`${column.name} not a number`);
+      } else if (number < column.min || number > column.max) {
+        issues.push(`${column.name} out of range (${column.min}–${column.max})`);
+      }
+    } else if (!column.values.includes(String(value).trim())) {
+      issues.push(`${column.name} unknown value "${value}"`);
+    }
+  });
+  return issues;
+};
+
+// Predicts in fixed-size batches so large files neither allocate one huge
+// tensor nor block the page for long; reports progress after each batch.
+// Returns one number per row, or a row of class probabilities for softmax
+// models.
+export const scoreRows = async (model, preprocessor, rows, onProgress) => {
+  const outputs = [];
+  for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+    const encoded = transformRows(preprocessor, rows.slice(start, start + BATCH_SIZE));
+    const output = tf.tidy(() => model.predict(tf.tensor2d(encoded)));
+    const values = await output.array();
+    outputs.push(...(output.shape[1] === 1 ? values.map(row => row[0]) : values));
+    output.dispose();
+    onProgress?.(Math.min(rows.length, start + BATCH_SIZE) / rows.length);
+    await tf.nextFrame();
+  }
+  return outputs;
+};
+
+export const resultsToCsv = (results) =>
+  Papa.unparse(results.map(({ row, probability, predicted, issues }) => ({
+    ...row,
+    // Regression results have no probability column
+    ...(probability !== undefined && { probability: probability.toFixed(6) }),
+    predicted,
+    flags: issues.join('; ')
+  })));
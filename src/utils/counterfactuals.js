@@ -0,0 +1,100 @@
+import * as tf from '@tensorflow/tfjs';
+import { transformRows } from './preprocessing';
+
+const MAX_CHANGES = 4;
+const BEAM_WIDTH = 12;
+const MAX_GRID_POINTS = 25;
+const MAX_RESULTS = 5;
+
+// Values a feature may take: the slider grid for numeric columns (thinned
+// out for long ranges) and every other level for binary/categorical ones
+const candidateValues = (column, current) => {
+  if (column.type !== 'numeric') {
+    return column.values.filter(value => value !== current);
+  }
+  const stepCount = Math.round((column.max - column.min) / column.step);
+  const stride = Math.max(1, Math.ceil(stepCount / (MAX_GRID_POINTS - 1)));
+  const values = [];
+  for (let i = 0; i <= stepCount; i += stride) {
+    values.push(Number((column.min + i * column.step).toFixed(10)));
+  }
+  if (values[values.length - 1] !== column.max) values.push(column.max);
+  return values.filter(value => value !== Number(current));
+};
+
+// Distance in slider widths, so features on different scales are comparable;
+// switching a binary or categorical value counts as a full-width move
+const changeCost = (column, from, to) =>
+  (column.type === 'numeric' ? Math.abs(to - Number(from)) / ((column.max - column.min) || 1) : 1);
+
+const predictRows = async (model, preprocessor, rows) => {
+  const output = tf.tidy(() => model.predict(tf.tensor2d(transformRows(preprocessor, rows))));
+  const probabilities = await output.data();
+  output.dispose();
+  return probabilities;
+};
+
+// Beam search over up to MAX_CHANGES changed features. Every state that
+// flips the decision is a candidate; the states closest to flipping are
+// expanded with one more change. Returns the cheapest counterfactuals, at most
+// one per set of changed features and none that is a superset of another.
+export const findCounterfactuals = async (model, preprocessor, columns, inputs, threshold, locked = []) => {
+  const [current] = await predictRows(model, preprocessor, [inputs]);
+  const positive = current > threshold;
+  const flips = (p) => (positive ? p <= threshold : p > threshold);
+  const gap = (p) => (positive ? p - threshold : threshold - p);
+
+  const free = columns.filter(column => !locked.includes(column.name));
+  const found = [];
+  let beam = [{ changes: [], cost: 0 }];
+
+  for (let depth = 1; depth <= MAX_CHANGES && beam.length > 0; depth++) {
+    // The same combination can be reached in several orders; keep it once
+    const states = new Map();
+    beam.forEach(state => {
+      const changed = state.changes.map(change => change.name);
+      free.filter(column => !changed.includes(column.name)).forEach(column => {
+        candidateValues(column, inputs[column.name]).forEach(value => {
+          const changes = [...state.changes, { name: column.name, from: inputs[column.name], to: value }]
+            .sort((a, b) => a.name.localeCompare(b.name));
+          const key = changes.map(change => `${change.name}=${change.to}`).join('|');
+          if (!states.has(key)) {
+            states.set(key, { changes, cost: state.cost + changeCost(column, inputs[column.name], value) });
+          }
+        });
+      });
+    });
+    if (states.size === 0) break;
+
+    const candidates = [...states.values()];
+    const rows = candidates.map(state => ({
+      ...inputs,
+      ...Object.fromEntries(state.changes.map(change => [change.name, change.to]))
+    }));
+    const probabilities = await predictRows(model, preprocessor, rows);
+    candidates.forEach((state, i) => { state.probability = probabilities[i]; });
+
+    const featureSets = found.map(result => result.changes.map(change => change.name));
+    const isSuperset = (state) => featureSets.some(set =>
+      set.every(name => state.changes.some(change => change.name === name))
+    );
+
+    // Cheapest flip per feature set at this depth
+    const bestBySet = new Map();
+    candidates.filter(state => flips(state.probability) && !isSuperset(state)).forEach(state => {
+      const key = state.changes.map(change => change.name).join('|');
+      if (!bestBySet.has(key) || bestBySet.get(key).cost > state.cost) bestBySet.set(key, state);
+    });
+    found.push(...bestBySet.values());
+
+    beam = candidates
+      .filter(state => !flips(state.probability) && !isSuperset(state) && gap(state.probability) < gap(current))
+      .sort((a, b) => gap(a.probability) - gap(b.probability) || a.cost - b.cost)
+      .slice(0, BEAM_WIDTH);
+  }
+
+  return {
+    probability: current,
+    counterfactuals: found.sort((a, b) => a.cost - b.cost).slice(0, MAX_RESULTS)
+  };
+};
@@ -0,0 +1,69 @@
+import { getColumn, isMissing, targetTask } from './schema';
+import { fitPreprocessor, transformRows } from './preprocessing';
+
+// Rows with a label, their targets and everything a trained model needs to
+// know about its inputs and outputs. Binary targets are 0/1, multi-class
+// targets the index into `classes` and regression targets the raw number.
+export const prepareDataset = (data, selection) => {
+  const columns = selection.features.map(name => getColumn(data.schema, name));
+  const targetColumn = getColumn(data.schema, selection.target);
+  const task = targetTask(targetColumn);
+  const readTarget = (row) => String(row[selection.target]).trim();
+
+  // Only rows without a label are dropped; missing features are imputed
+  const rows = data.rows.filter(row => !isMissing(row[selection.target]));
+  const shared = { rows, columns, task, target: selection.target };
+
+  if (task === 'regression') {
+    return { ...shared, labels: rows.map(row => Number(readTarget(row))), classes: [] };
+  }
+  if (task === 'multiclass') {
+    const classes = targetColumn.values;
+    return { ...shared, labels: rows.map(row => classes.indexOf(readTarget(row))), classes };
+  }
+
+  const negativeClass = targetColumn.values.find(value => value !== selection.positiveClass)
+    ?? `Not ${selection.positiveClass}`;
+  return {
+    ...shared,
+    labels: rows.map(row => (readTarget(row) === selection.positiveClass ? 1 : 0)),
+    classes: [negativeClass, selection.positiveClass],
+    positiveClass: selection.positiveClass,
+    negativeClass
+  };
+};
+
+const pick = (array, indices) => indices.map(i => array[i]);
+
+// Fits the preprocessor on the training indices only and encodes every part
+export const buildSplit = (prepared, indices, preprocessingConfig) => {
+  const preprocessor = fitPreprocessor(pick(prepared.rows, indices.train), prepared.columns, preprocessingConfig);
+  const encode = (part) => {
+    const rows = pick(prepared.rows, part);
+    return {
+      rows,
+      features: transformRows(preprocessor, rows),
+      labels: pick(prepared.labels, part)
+    };
+  };
+
+  return {
+    preprocessor,
+    train: encode(indices.train),
+    val: encode(indices.val),
+    test: encode(indices.test || [])
+  };
+};
+
+// The encoded target of one raw row for a trained model's schema, or null
+// when the row has no usable label
+export const readLabel = (schema, row) => {
+  const value = row[schema.target];
+  if (isMissing(value)) return null;
+  const text = String(value).trim();
+  const task = schema.task ?? 'binary';
+  if (task === 'regression') return Number.isFinite(Number(text)) ? Number(text) : null;
+  if (task === 'multiclass') return schema.classes.includes(text) ? schema.classes.indexOf(text) : null;
+  if (text === schema.positiveClass) return 1;
+  return text === schema.negativeClass ? 0 : null;
+};
@@ -0,0 +1,14 @@
+export const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export const downloadText = (filename, text, type = 'text/plain') =>
+  downloadBlob(filename, new Blob([text], { type }));
+
+export const downloadJson = (filename, value) =>
+  downloadText(filename, JSON.stringify(value, null, 2), 'application/json');
@@ -0,0 +1,115 @@
+import * as d3 from 'd3';
+import { isMissing } from './schema';
+
+const HISTOGRAM_BINS = 15;
+
+const numericValues = (rows, name) =>
+  rows.map(row => row[name]).filter(value => !isMissing(value)).map(Number);
+
+const ALL_ROWS = 'All rows';
+
+// Without a class target (none picked, or a regression target) every row
+// falls in one group, so distributions are drawn unsplit
+const classOf = (row, target) => {
+  if (!target) return ALL_ROWS;
+  return isMissing(row[target]) ? 'Missing' : String(row[target]).trim();
+};
+
+// Count, missing and the usual moments and quartiles for numeric columns;
+// the level frequencies for binary and categorical ones
+export const summarizeColumns = (data) => data.schema.map(column => {
+  const base = { name: column.name, type: column.type, count: data.rows.length - column.missing, missing: column.missing };
+  if (column.type === 'numeric') {
+    const values = numericValues(data.rows, column.name).sort(d3.ascending);
+    return {
+      ...base,
+      mean: d3.mean(values),
+      std: d3.deviation(values),
+      min: values[0],
+      q1: d3.quantileSorted(values, 0.25),
+      median: d3.quantileSorted(values, 0.5),
+      q3: d3.quantileSorted(values, 0.75),
+      max: values[values.length - 1]
+    };
+  }
+  const counts = d3.rollup(
+    data.rows.filter(row => !isMissing(row[column.name])),
+    group => group.length,
+    row => String(row[column.name]).trim()
+  );
+  return { ...base, levels: column.values.map(value => ({ value, count: counts.get(value) || 0 })) };
+});
+
+export const classBalance = (rows, target) => {
+  const counts = d3.rollup(rows, group => group.length, row => classOf(row, target));
+  return [...counts].map(([value, count]) => ({ value, count })).sort((a, b) => d3.ascending(a.value, b.value));
+};
+
+// Histogram counts per class on bins shared by all classes
+export const histogramByClass = (rows, name, target) => {
+  const values = numericValues(rows, name);
+  const bin = d3.bin().domain(d3.extent(values)).thresholds(HISTOGRAM_BINS);
+  const edges = bin(values).map(b => [b.x0, b.x1]);
+  const groups = d3.group(rows.filter(row => !isMissing(row[name])), row => classOf(row, target));
+  return {
+    edges,
+    classes: [...groups].sort((a, b) => d3.ascending(a[0], b[0])).map(([value, group]) => ({
+      value,
+      counts: bin(group.map(row => Number(row[name]))).map(b => b.length)
+    }))
+  };
+};
+
+// Five-number summary with Tukey whiskers (1.5 × IQR) and the outliers beyond
+export const boxStats = (values) => {
+  const sorted = [...values].sort(d3.ascending);
+  const q1 = d3.quantileSorted(sorted, 0.25);
+  const median = d3.quantileSorted(sorted, 0.5);
+  const q3 = d3.quantileSorted(sorted, 0.75);
+  const fence = 1.5 * (q3 - q1);
+  const inside = sorted.filter(v => v >= q1 - fence && v <= q3 + fence);
+  return {
+    q1,
+    median,
+    q3,
+    low: inside[0],
+    high: inside[inside.length - 1],
+    outliers: sorted.filter(v => v < q1 - fence || v > q3 + fence)
+  };
+};
+
+export const boxStatsByClass = (rows, name, target) => {
+  const groups = d3.group(rows.filter(row => !isMissing(row[name])), row => classOf(row, target));
+  return [...groups]
+    .sort((a, b) => d3.ascending(a[0], b[0]))
+    .map(([value, group]) => ({ value, ...boxStats(group.map(row => Number(row[name]))) }));
+};
+
+// Numeric columns as they are and two-level columns as 0/1 (second sorted
+// value = 1), so the target can take part in the correlations too
+export const correlationColumns = (schema) =>
+  schema.filter(column => column.type === 'numeric' || (column.type === 'binary' && column.values.length === 2));
+
+const encode = (column, value) => {
+  if (isMissing(value)) return null;
+  return column.type === 'numeric' ? Number(value) : (String(value).trim() === column.values[1] ? 1 : 0);
+};
+
+// Pearson correlations using the rows where both columns are present
+export const correlationMatrix = (rows, columns) => {
+  const encoded = columns.map(column => rows.map(row => encode(column, row[column.name])));
+  return columns.map((_, i) => columns.map((__, j) => {
+    const pairs = encoded[i]
+      .map((x, k) => [x, encoded[j][k]])
+      .filter(([x, y]) => x !== null && y !== null);
+    const meanX = d3.mean(pairs, p => p[0]);
+    const meanY = d3.mean(pairs, p => p[1]);
+    let sxy = 0, sxx = 0, syy = 0;
+    pairs.forEach(([x, y]) => {
+      sxy += (x - meanX) * (y - meanY);
+      sxx += (x - meanX) ** 2;
+      syy += (y - meanY) ** 2;
+    });
+    return sxx === 0 || syy === 0 ? 0 : sxy / Math.sqrt(sxx * syy);
+  }));
+};
@@ -0,0 +1,238 @@
+import * as tf from '@tensorflow/tfjs';
+import { predictActivations } from './modelBuilder';
+import { transformRows, transformRow } from './preprocessing';
+import { createRng } from './splits';
+
+export const PROJECTIONS = {
+  pca: 'PCA',
+  tsne: 't-SNE'
+};
+
+const BATCH_SIZE = 512;
+// Exact t-SNE is quadratic in the number of rows
+export const TSNE_MAX_ROWS = 800;
+const TSNE_ITERATIONS = 400;
+const TSNE_PERPLEXITY = 30;
+const YIELD_EVERY = 10;
+
+// Activations of one dense layer and the model outputs for raw rows, in
+// batches. Outputs are one number per row, or a row of class probabilities;
+// the last dense layer is the output layer.
+export const projectThroughNetwork = async (model, preprocessor, rows, denseIndex) => {
+  const activations = [];
+  const outputs = [];
+
+  for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+    const encoded = transformRows(preprocessor, rows.slice(start, start + BATCH_SIZE));
+    const [layer, output] = tf.tidy(() => {
+      const results = predictActivations(model, tf.tensor2d(encoded));
+      return [results[denseIndex], results[results.length - 1]];
+    });
+    activations.push(...await layer.array());
+    const values = await output.array();
+    outputs.push(...(output.shape[1] === 1 ? values.map(row => row[0]) : values));
+    tf.dispose([layer, output]);
+    await tf.nextFrame();
+  }
+  return { activations, outputs };
+};
+
+export const layerActivation = async (model, preprocessor, row, denseIndex) => {
+  const output = tf.tidy(() =>
+    predictActivations(model, tf.tensor2d([transformRow(preprocessor, row)]))[denseIndex]
+  );
+  const [values] = await output.array();
+  output.dispose();
+  return values;
+};
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+// Top principal components by power iteration on the covariance matrix,
+// deflating after each one. Returns a projector so new points (the current
+// input) land in the same space.
+export const pca = (matrix, components = 2) => {
+  const n = matrix.length;
+  const d = matrix[0].length;
+  const mean = Array.from({ length: d }, (_, j) => matrix.reduce((sum, row) => sum + row[j], 0) / n);
+  const centered = matrix.map(row => row.map((value, j) => value - mean[j]));
+
+  const covariance = Array.from({ length: d }, (_, i) => Array.from({ length: d }, (_, j) =>
+    centered.reduce((sum, row) => sum + row[i] * row[j], 0) / Math.max(1, n - 1)
+  ));
+  const totalVariance = covariance.reduce((sum, row, i) => sum + row[i], 0);
+
+  const rng = createRng(d);
+  const axes = [];
+  const variances = [];
+  for (let c = 0; c < Math.min(components, d); c++) {
+    let vector = Array.from({ length: d }, () => rng() - 0.5);
+    let eigenvalue = 0;
+    for (let iteration = 0; iteration < 200; iteration++) {
+      const next = covariance.map(row => dot(row, vector));
+      const norm = Math.sqrt(dot(next, next)) || 1;
+      vector = next.map(value => value / norm);
+      eigenvalue = norm;
+    }
+    axes.push(vector);
+    variances.push(eigenvalue);
+    for (let i = 0; i < d; i++) {
+      for (let j = 0; j < d; j++) covariance[i][j] -= eigenvalue * vector[i] * vector[j];
+    }
+  }
+  // Layers with a single unit get a flat second axis
+  while (axes.length < components) {
+    axes.push(new Array(d).fill(0));
+    variances.push(0);
+  }
+
+  const project = (row) => axes.map(axis => dot(axis, row.map((value, j) => value - mean[j])));
+  return {
+    points: matrix.map(project),
+    explained: variances.map(variance => (totalVariance > 0 ? variance / totalVariance : 0)),
+    project
+  };
+};
+
+const squaredDistances = (matrix) => {
+  const n = matrix.length;
+  const distances = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      let sum = 0;
+      for (let k = 0; k < matrix[i].length; k++) sum += (matrix[i][k] - matrix[j][k]) ** 2;
+      distances[i * n + j] = sum;
+      distances[j * n + i] = sum;
+    }
+  }
+  return distances;
+};
+
+// Symmetrised input affinities, each row's Gaussian bandwidth found by
+// binary search so its entropy matches the perplexity
+const affinities = (distances, n, perplexity) => {
+  const target = Math.log(perplexity);
+  const P = new Float64Array(n * n);
+  const row = new Float64Array(n);
+
+  for (let i = 0; i < n; i++) {
+    let beta = 1;
+    let low = -Infinity;
+    let high = Infinity;
+    for (let step = 0; step < 50; step++) {
+      let sum = 0;
+      let weighted = 0;
+      for (let j = 0; j < n; j++) {
+        row[j] = j === i ? 0 : Math.exp(-distances[i * n + j] * beta);
+        sum += row[j];
+        weighted += row[j] * distances[i * n + j];
+      }
+      const entropy = sum > 0 ? Math.log(sum) + beta * weighted / sum : 0;
+      if (Math.abs(entropy - target) < 1e-5) break;
+      if (entropy > target) {
+        low = beta;
+        beta = high === Infinity ? beta * 2 : (beta + high) / 2;
+      } else {
+        high = beta;
+        beta = low === -Infinity ? beta / 2 : (beta + low) / 2;
+      }
+    }
+    const sum = row.reduce((total, value) => total + value, 0) || 1;
+    for (let j = 0; j < n; j++) P[i * n + j] = row[j] / sum;
+  }
+
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const value = Math.max((P[i * n + j] + P[j * n + i]) / (2 * n), 1e-12);
+      P[i * n + j] = value;
+      P[j * n + i] = value;
+    }
+  }
+  return P;
+};
+
+// Exact t-SNE (van der Maaten & Hinton, 2008) with early exaggeration,
+// momentum and adaptive gains. Yields to the page every few iterations and
+// reports progress between 0 and 1; `isCancelled` stops it early.
+export const tsne = async (matrix, { seed = 42, perplexity = TSNE_PERPLEXITY, iterations = TSNE_ITERATIONS, onProgress, isCancelled } = {}) => {
+  const n = matrix.length;
+  const P = affinities(squaredDistances(matrix), n, Math.min(perplexity, (n - 1) / 3));
+  const rng = createRng(seed);
+  const Y = Array.from({ length: n }, () => [(rng() - 0.5) * 1e-2, (rng() - 0.5) * 1e-2]);
+  const velocity = Array.from({ length: n }, () => [0, 0]);
+  const gains = Array.from({ length: n }, () => [1, 1]);
+  const numerators = new Float64Array(n * n);
+  const learningRate = Math.max(50, n / 12);
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const exaggeration = iteration < 100 ? 4 : 1;
+    const momentum = iteration < 250 ? 0.5 : 0.8;
+
+    let total = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const q = 1 / (1 + (Y[i][0] - Y[j][0]) ** 2 + (Y[i][1] - Y[j][1]) ** 2);
+        numerators[i * n + j] = q;
+        numerators[j * n + i] = q;
+        total += 2 * q;
+      }
+    }
+
+    for (let i = 0; i < n; i++) {
+      let gx = 0;
+      let gy = 0;
+      for (let j = 0; j < n; j++) {
+        if (j === i) continue;
+        const q = numerators[i * n + j];
+        const force = (exaggeration * P[i * n + j] - q / total) * q;
+        gx += 4 * force * (Y[i][0] - Y[j][0]);
+        gy += 4 * force * (Y[i][1] - Y[j][1]);
+      }
+      [gx, gy].forEach((gradient, k) => {
+        gains[i][k] = Math.sign(gradient) === Math.sign(velocity[i][k]) ? Math.max(0.01, gains[i][k] * 0.8) : gains[i][k] + 0.2;
+        velocity[i][k] = momentum * velocity[i][k] - learningRate * gains[i][k] * gradient;
+      });
+    }
+    for (let i = 0; i < n; i++) {
+      Y[i][0] += velocity[i][0];
+      Y[i][1] += velocity[i][1];
+    }
+
+    if (iteration % YIELD_EVERY === 0) {
+      onProgress?.(iteration / iterations);
+      await new Promise(resolve => setTimeout(resolve, 0));
+      if (isCancelled?.()) return null;
+    }
+  }
+  onProgress?.(1);
+  return Y;
+};
+
+// t-SNE has no mapping for new points, so the current input is placed at the
+// mean position of its nearest rows in activation space
+export const placeByNeighbours = (matrix, points, vector, k = 5) => {
+  const nearest = matrix
+    .map((row, index) => ({ index, distance: row.reduce((sum, value, j) => sum + (value - vector[j]) ** 2, 0) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, k);
+  return [0, 1].map(axis => nearest.reduce((sum, { index }) => sum + points[index][axis], 0) / nearest.length);
+};
+
+const linspace = (min, max, count) =>
+  Array.from({ length: count }, (_, i) => min + (max - min) * (i / (count - 1)));
+
+// Model output over a grid of two raw numeric columns, every other column
+// held at the given inputs
+export const decisionGrid = async (model, preprocessor, inputs, xColumn, yColumn, resolution = 40) => {
+  const xs = linspace(xColumn.min, xColumn.max, resolution);
+  const ys = linspace(yColumn.min, yColumn.max, resolution);
+  const rows = ys.flatMap(y => xs.map(x => ({ ...inputs, [xColumn.name]: x, [yColumn.name]: y })));
+  const output = tf.tidy(() => model.predict(tf.tensor2d(transformRows(preprocessor, rows))));
+  const values = await output.array();
+  output.dispose();
+  return {
+    xs,
+    ys,
+    values: values.map(row => (row.length === 1 ? row[0] : row))
+  };
+};
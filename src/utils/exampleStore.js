@@ -0,0 +1,37 @@
+import { createStoreRunner } from './indexedDb';
+
+const withStore = createStoreRunner('nn-class-examples', 'examples');
+
+// Examples labelled in the UI, kept per dataset and target
+export const listExamples = async (dataset, target) => {
+  const examples = await withStore('readonly', store => store.getAll());
+  return examples
+    .filter(example => example.dataset === dataset && example.target === target)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.order - b.order);
+};
+
+export const saveExamples = (examples) =>
+  withStore('readwrite', store => {
+    examples.forEach(example => store.put(example));
+  });
+
+export const deleteExamples = (ids) =>
+  withStore('readwrite', store => {
+    ids.forEach(id => store.delete(id));
+  });
+
+// `row` holds the feature values with the label under the target column, so
+// an example reads like a row of the original file
+export const createExamples = ({ dataset, schema, rows, source }) => {
+  const createdAt = new Date().toISOString();
+  const batchId = Date.now().toString(36);
+  return rows.map((row, order) => ({
+    id: `${batchId}-${order}`,
+    order,
+    createdAt,
+    dataset,
+    target: schema.target,
+    row: Object.fromEntries([...schema.columns.map(column => column.name), schema.target].map(name => [name, row[name]])),
+    source
+  }));
+};
@@ -0,0 +1,118 @@
+import Papa from 'papaparse';
+import { summarizeTaskPredictions } from './metrics';
+import { createStoreRunner } from './indexedDb';
+
+const withStore = createStoreRunner('nn-class-experiments', 'experiments');
+
+export const listExperiments = async () => {
+  const experiments = await withStore('readonly', store => store.getAll());
+  return experiments.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || a.order - b.order);
+};
+
+export const addExperiments = (experiments) =>
+  withStore('readwrite', store => {
+    experiments.forEach(experiment => store.put(experiment));
+  });
+
+export const deleteExperiments = (ids) =>
+  withStore('readwrite', store => {
+    ids.forEach(id => store.delete(id));
+  });
+
+export const clearExperiments = () => withStore('readwrite', store => store.clear());
+
+// One record per model of a training run: the network first, then the
+// baselines fitted on the same split. Metrics use a 0.5 threshold so runs
+// stay comparable whatever the dashboard threshold was at the time.
+export const createExperiments = ({ job, schema, history, evaluation, baselines, manifest, stopped, stoppedEarly }) => {
+  const task = schema.task ?? 'binary';
+  const summarize = (part) => (part ? summarizeTaskPredictions(part, task) : null);
+  const createdAt = new Date().toISOString();
+  const runId = Date.now().toString(36);
+  const shared = {
+    runId,
+    createdAt,
+    dataset: job.data.name,
+    target: job.selection.target,
+    task,
+    features: job.selection.features,
+    preprocessing: job.preprocessingConfig,
+    split: job.splitConfig,
+    manifest
+  };
+
+  return [
+    {
+      ...shared,
+      id: `${runId}-network`,
+      order: 0,
+      model: 'network',
+      label: 'Neural network',
+      params: { architecture: job.architecture, training: job.trainingConfig, stopped, stoppedEarly },
+      history,
+      validation: summarize(evaluation.validation),
+      test: summarize(evaluation.test)
+    },
+    ...baselines.map((baseline, index) => ({
+      ...shared,
+      id: `${runId}-${baseline.id}`,
+      order: index + 1,
+      model: baseline.id,
+      label: baseline.label,
+      params: baseline.params,
+      history: baseline.history,
+      validation: summarize(baseline.validation),
+      test: summarize(baseline.test)
+    }))
+  ];
+};
+
+export const describeParams = (experiment) => {
+  const { params } = experiment;
+  switch (experiment.model) {
+    case 'network': {
+      const layers = params.architecture.map(layer => `${layer.units} ${layer.activation}`).join(' → ');
+      const { optimizer, learningRate, epochs, batchSize, imbalance = 'none', loss = 'binaryCrossentropy' } = params.training;
+      // The imbalance options and loss only apply to binary targets
+      const extras = (experiment.task ?? 'binary') === 'binary'
+        ? [imbalance !== 'none' && imbalance, loss !== 'binaryCrossentropy' && `${loss} loss`].filter(Boolean)
+        : [experiment.task];
+      return `${layers}; ${optimizer} lr ${learningRate}, ${epochs} epochs, batch ${batchSize}${extras.map(extra => `, ${extra}`).join('')}`;
+    }
+    case 'majority':
+      return `P(positive) = ${params.positiveRate.toFixed(3)}`;
+    case 'logistic':
+      return `${params.optimizer} lr ${params.learningRate}, ${params.epochs} epochs`;
+    case 'knn':
+      return `k = ${params.k}, ${params.distance}`;
+    case 'stump':
+      return Number.isFinite(params.threshold) ? `${params.feature} ≤ ${params.threshold.toFixed(3)}` : 'no split';
+    default:
+      return '';
+  }
+};
+
+const METRIC_KEYS = [
+  'accuracy', 'precision', 'recall', 'f1Score', 'specificity', 'balancedAccuracy', 'auc', 'logLoss',
+  'mse', 'rmse', 'mae', 'r2'
+];
+
+export const experimentsToRows = (experiments) => experiments.map(experiment => {
+  const row = {
+    run: experiment.runId,
+    createdAt: experiment.createdAt,
+    dataset: experiment.dataset,
+    target: experiment.target,
+    model: experiment.label,
+    params: describeParams(experiment),
+    epochs: experiment.history.length
+  };
+  ['validation', 'test'].forEach(part => {
+    METRIC_KEYS.forEach(key => {
+      row[`${part}_${key}`] = experiment[part]?.[key] ?? '';
+    });
+  });
+  return row;
+});
+
+export const experimentsToCsv = (experiments) => Papa.unparse(experimentsToRows(experiments));
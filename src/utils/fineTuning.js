@@ -0,0 +1,15 @@
+import { createRng, shuffle } from './splits';
+
+// A few epochs at a lower learning rate nudge the trained weights towards
+// the new examples without starting over
+export const DEFAULT_FINE_TUNE_CONFIG = {
+  epochs: 5,
+  learningRate: 0.0005,
+  batchSize: 16,
+  // Original training rows mixed into every round so the model keeps what it
+  // learned (rehearsal); 0 fits the new examples alone
+  replayRows: 200
+};
+
+export const selectReplayRows = (trainRows, count, seed) =>
+  shuffle(trainRows, createRng(seed)).slice(0, Math.min(count, trainRows.length));
@@ -0,0 +1,101 @@
+import { createRng, shuffle } from './splits';
+
+export const SEARCH_MODES = {
+  grid: 'Grid (every combination)',
+  random: 'Random sampling'
+};
+
+// Candidate values per hyperparameter. Hidden layer options are written as
+// unit counts joined by '-', so '32-16' is two hidden layers.
+export const DEFAULT_SEARCH_SPACE = {
+  hiddenLayers: ['8', '16', '32-16'],
+  activation: ['relu', 'tanh'],
+  learningRate: [0.001, 0.01],
+  batchSize: [16, 32],
+  dropout: [0, 0.2]
+};
+
+export const DEFAULT_SEARCH_CONFIG = {
+  mode: 'random',
+  budget: 12,
+  epochs: 40,
+  patience: 5,
+  space: DEFAULT_SEARCH_SPACE
+};
+
+export const parseLayerPattern = (pattern) =>
+  String(pattern).split('-').map(Number).filter(units => Number.isInteger(units) && units > 0);
+
+const DIMENSIONS = ['hiddenLayers', 'activation', 'learningRate', 'batchSize', 'dropout'];
+
+const cartesian = (space) => DIMENSIONS.reduce(
+  (combinations, key) => combinations.flatMap(combination =>
+    space[key].map(value => ({ ...combination, [key]: value }))
+  ),
+  [{}]
+);
+
+// Learning rates span orders of magnitude, so random search draws them
+// log-uniformly between the smallest and largest candidate
+const sampleLearningRate = (candidates, rng) => {
+  const low = Math.log(Math.min(...candidates));
+  const high = Math.log(Math.max(...candidates));
+  return Number(Math.exp(low + rng() * (high - low)).toPrecision(2));
+};
+
+const sampleCombination = (space, rng) => Object.fromEntries(DIMENSIONS.map(key => [
+  key,
+  key === 'learningRate'
+    ? sampleLearningRate(space.learningRate, rng)
+    : space[key][Math.floor(rng() * space[key].length)]
+]));
+
+const toTrial = (combination, index, baseConfig, searchConfig) => ({
+  id: index + 1,
+  params: combination,
+  architecture: parseLayerPattern(combination.hiddenLayers).map(units => ({
+    units,
+    activation: combination.activation,
+    dropout: combination.dropout,
+    l2: 0
+  })),
+  trainingConfig: {
+    ...baseConfig,
+    learningRate: combination.learningRate,
+    batchSize: combination.batchSize,
+    epochs: searchConfig.epochs,
+    patience: searchConfig.patience,
+    compareBaselines: false
+  }
+});
+
+// The trials to run, at most `budget` of them. A grid larger than the budget
+// is subsampled (without repeats) in a seeded order.
+export const createTrials = (searchConfig, baseConfig) => {
+  const { space, mode, budget } = searchConfig;
+  if (DIMENSIONS.some(key => space[key].length === 0)) return [];
+  const rng = createRng(baseConfig.seed);
+
+  let combinations;
+  if (mode === 'grid') {
+    const grid = cartesian(space);
+    combinations = grid.length > budget ? shuffle(grid, rng).slice(0, budget) : grid;
+  } else {
+    const seen = new Set();
+    combinations = [];
+    // Small spaces run out of distinct combinations before the budget
+    for (let attempt = 0; combinations.length < budget && attempt < budget * 20; attempt++) {
+      const combination = sampleCombination(space, rng);
+      const key = JSON.stringify(combination);
+      if (!seen.has(key)) {
+        seen.add(key);
+        combinations.push(combination);
+      }
+    }
+  }
+
+  return combinations.map((combination, index) => toTrial(combination, index, baseConfig, searchConfig));
+};
+
+export const describeTrial = ({ params }) =>
+  `${params.hiddenLayers} ${params.activation}, lr ${params.learningRate}, batch ${params.batchSize}, dropout ${params.dropout}`;
@@ -0,0 +1,112 @@
+import * as tf from '@tensorflow/tfjs';
+import { shuffle } from './splits';
+
+const SMOTE_NEIGHBOURS = 5;
+
+export const IMBALANCE_STRATEGIES = {
+  none: { label: 'None' },
+  classWeights: { label: 'Class weights' },
+  oversample: { label: 'Random oversampling' },
+  undersample: { label: 'Random undersampling' },
+  smote: { label: 'SMOTE (synthetic samples)' }
+};
+
+export const LOSSES = {
+  binaryCrossentropy: { label: 'Binary cross-entropy' },
+  focal: { label: 'Focal loss' }
+};
+
+const countClasses = (labels) => {
+  const positives = labels.reduce((sum, label) => sum + label, 0);
+  return { positives, negatives: labels.length - positives };
+};
+
+// Inverse-frequency weights that average to 1 over the training rows
+export const computeClassWeights = (labels) => {
+  const { positives, negatives } = countClasses(labels);
+  return {
+    0: negatives === 0 ? 1 : labels.length / (2 * negatives),
+    1: positives === 0 ? 1 : labels.length / (2 * positives)
+  };
+};
+
+const squaredDistance = (a, b) => a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0);
+
+// New minority rows interpolated between a minority row and one of its k
+// nearest minority neighbours. One-hot columns become fractional, which the
+// network handles like any other input.
+const synthesize = (minority, count, rng) => {
+  const neighbours = minority.map(row => minority
+    .map((other, index) => ({ index, distance: squaredDistance(row, other) }))
+    .filter(({ distance }) => distance > 0)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, SMOTE_NEIGHBOURS)
+    .map(({ index }) => index));
+
+  const synthetic = [];
+  for (let i = 0; i < count; i++) {
+    const base = Math.floor(rng() * minority.length);
+    const candidates = neighbours[base];
+    if (candidates.length === 0) {
+      synthetic.push([...minority[base]]);
+    } else {
+      const other = minority[candidates[Math.floor(rng() * candidates.length)]];
+      const gap = rng();
+      synthetic.push(minority[base].map((value, j) => value + gap * (other[j] - value)));
+    }
+  }
+  return synthetic;
+};
+
+// Rebalances the encoded training part only; validation and test keep the
+// real class ratio so the metrics stay honest
+export const resampleTraining = (train, strategy, rng) => {
+  if (!['oversample', 'undersample', 'smote'].includes(strategy)) {
+    return train;
+  }
+  const byClass = [0, 1].map(label => train.features.filter((_, i) => train.labels[i] === label));
+  if (byClass[0].length === 0 || byClass[1].length === 0) {
+    return train;
+  }
+  const minorityLabel = byClass[1].length < byClass[0].length ? 1 : 0;
+  const minority = byClass[minorityLabel];
+  const majority = byClass[1 - minorityLabel];
+  const gap = majority.length - minority.length;
+
+  let rows;
+  if (strategy === 'undersample') {
+    rows = [
+      ...shuffle(majority, rng).slice(0, minority.length).map(features => ({ features, label: 1 - minorityLabel })),
+      ...minority.map(features => ({ features, label: minorityLabel }))
+    ];
+  } else {
+    const extra = strategy === 'smote'
+      ? synthesize(minority, gap, rng)
+      : Array.from({ length: gap }, () => minority[Math.floor(rng() * minority.length)]);
+    rows = [
+      ...majority.map(features => ({ features, label: 1 - minorityLabel })),
+      ...[...minority, ...extra].map(features => ({ features, label: minorityLabel }))
+    ];
+  }
+
+  const shuffled = shuffle(rows, rng);
+  return {
+    ...train,
+    features: shuffled.map(row => row.features),
+    labels: shuffled.map(row => row.label)
+  };
+};
+
+// Focal loss (Lin et al., 2017): cross-entropy scaled by (1 - p_t)^gamma so
+// easy, confidently classified rows contribute little. alpha = 0.5 weighs
+// both classes equally. Returns one value per row, like the built-in losses,
+// so class weights still apply.
+export const focalLoss = (gamma = 2, alpha = 0.5) => (yTrue, yPred) => tf.tidy(() => {
+  const p = yPred.clipByValue(1e-7, 1 - 1e-7);
+  const pt = yTrue.mul(p).add(tf.scalar(1).sub(yTrue).mul(tf.scalar(1).sub(p)));
+  const alphaT = yTrue.mul(alpha).add(tf.scalar(1).sub(yTrue).mul(1 - alpha));
+  return alphaT.mul(tf.scalar(1).sub(pt).pow(gamma)).mul(pt.log().neg()).mean(-1);
+});
+
+export const createLoss = ({ loss, focalGamma }) =>
+  (loss === 'focal' ? focalLoss(focalGamma) : 'binaryCrossentropy');
@@ -0,0 +1,71 @@
+import { transformRows } from './preprocessing';
+import { logLoss } from './metrics';
+import { createRng, shuffle } from './splits';
+
+const PERMUTATION_REPEATS = 5;
+const MAX_GRID_POINTS = 16;
+const ICE_SAMPLES = 30;
+
+// Values swept for one column: the slider range for numeric columns (at
+// most MAX_GRID_POINTS steps) and every known value otherwise
+export const dependenceGrid = (column) => {
+  if (column.type !== 'numeric') {
+    return column.values;
+  }
+  const steps = Math.min(MAX_GRID_POINTS - 1, Math.round((column.max - column.min) / column.step)) || 1;
+  return Array.from({ length: steps + 1 }, (_, i) =>
+    Number((column.min + (i * (column.max - column.min)) / steps).toFixed(6))
+  );
+};
+
+// Increase in validation log-loss when one column's values are shuffled
+// across rows, averaged over a few shuffles. Log-loss rather than AUC,
+// because it also registers features that only sharpen confident
+// predictions. `predict` maps encoded rows to probabilities.
+export const permutationImportance = async (predict, preprocessor, columns, rows, labels, seed = 42) => {
+  const rng = createRng(seed);
+  const baseline = logLoss(await predict(transformRows(preprocessor, rows)), labels);
+
+  const results = [];
+  for (const column of columns) {
+    const increases = [];
+    for (let r = 0; r < PERMUTATION_REPEATS; r++) {
+      const shuffled = shuffle(rows.map(row => row[column.name]), rng);
+      const permuted = rows.map((row, i) => ({ ...row, [column.name]: shuffled[i] }));
+      increases.push(logLoss(await predict(transformRows(preprocessor, permuted)), labels) - baseline);
+    }
+    const mean = increases.reduce((sum, d) => sum + d, 0) / increases.length;
+    const std = Math.sqrt(increases.reduce((sum, d) => sum + (d - mean) ** 2, 0) / increases.length);
+    results.push({ name: column.name, mean, std });
+  }
+  return { baselineLogLoss: baseline, features: results };
+};
+
+// Partial dependence (average prediction) and ICE curves (one line per
+// sampled row) while one column is forced to each grid value
+export const partialDependence = async (predict, preprocessor, column, rows, seed = 42) => {
+  const grid = dependenceGrid(column);
+  const iceRows = new Set(shuffle(rows.map((_, i) => i), createRng(seed)).slice(0, ICE_SAMPLES));
+
+  const forced = grid.flatMap(value => rows.map(row => ({ ...row, [column.name]: value })));
+  const probabilities = await predict(transformRows(preprocessor, forced));
+
+  const pdp = grid.map((_, g) => {
+    const slice = probabilities.slice(g * rows.length, (g + 1) * rows.length);
+    return slice.reduce((sum, p) => sum + p, 0) / slice.length;
+  });
+  const ice = [...iceRows].map(rowIndex => grid.map((_, g) => probabilities[g * rows.length + rowIndex]));
+
+  return { name: column.name, type: column.type, grid, pdp, ice };
+};
+
+export const computeGlobalInsights = async (predict, preprocessor, columns, rows, labels) => {
+  if (rows.length === 0 || new Set(labels).size < 2) return null;
+
+  const importance = await permutationImportance(predict, preprocessor, columns, rows, labels);
+  const dependence = [];
+  for (const column of columns) {
+    dependence.push(await partialDependence(predict, preprocessor, column, rows));
+  }
+  return { importance, dependence };
+};
@@ -0,0 +1,29 @@
+// Database with a single object store keyed by `id`. The returned function
+// runs one request (or several puts) in a transaction and resolves with the
+// last request's result once the transaction has committed.
+export const createStoreRunner = (dbName, storeName) => {
+  const openDatabase = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(storeName, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  return async (mode, action) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = action(transaction.objectStore(storeName));
+      transaction.oncomplete = () => {
+        db.close();
+        resolve(request?.result);
+      };
+      transaction.onerror = () => {
+        db.close();
+        reject(transaction.error);
+      };
+    });
+  };
+};
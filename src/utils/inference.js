@@ -0,0 +1,49 @@
+import * as tf from '@tensorflow/tfjs';
+import { WASM_PATHS } from './wasmPaths';
+import { predictActivations } from './modelBuilder';
+
+export const BACKENDS = {
+  webgl: 'WebGL (GPU)',
+  cpu: 'CPU (JavaScript)',
+  wasm: 'WebAssembly'
+};
+
+// The wasm backend is only downloaded when it is first selected
+const registerWasm = async () => {
+  const { setWasmPaths } = await import('@tensorflow/tfjs-backend-wasm');
+  setWasmPaths(WASM_PATHS);
+};
+
+// Switches the main-thread backend; existing weights are copied over by tfjs
+// the first time they are used. Resolves to the backend actually active.
+export const switchBackend = async (name) => {
+  if (name === 'wasm' && !tf.findBackend('wasm')) {
+    await registerWasm();
+  }
+  if (!(await tf.setBackend(name))) {
+    throw new Error(`The ${BACKENDS[name] || name} backend is not available in this browser.`);
+  }
+  await tf.ready();
+  return tf.getBackend();
+};
+
+// Live predictions for one trained model. The model exposing every dense
+// layer is built once per trained model; its last output is the prediction
+// itself, so one forward pass gives both the outputs and the activations to
+// draw.
+export const createInferenceSession = (model) => {
+  const run = async (encodedRow) => {
+    const started = performance.now();
+    const outputs = tf.tidy(() => predictActivations(model, tf.tensor2d([encodedRow])));
+    const activations = await Promise.all(outputs.map(async t => Array.from(await t.data())));
+    tf.dispose(outputs);
+
+    return {
+      activations,
+      prediction: activations[activations.length - 1],
+      latency: performance.now() - started
+    };
+  };
+
+  return { run };
+};
@@ -0,0 +1,200 @@
+// Ratios with an empty denominator (e.g. precision when nothing is predicted
+// positive) are reported as 0 instead of NaN
+const safeDivide = (numerator, denominator) => (denominator === 0 ? 0 : numerator / denominator);
+
+export const confusionMatrix = (probabilities, labels, threshold = 0.5) => {
+  let tp = 0, fp = 0, tn = 0, fn = 0;
+  probabilities.forEach((p, i) => {
+    const pred = p > threshold ? 1 : 0;
+    if (pred === 1 && labels[i] === 1) tp++;
+    if (pred === 1 && labels[i] === 0) fp++;
+    if (pred === 0 && labels[i] === 0) tn++;
+    if (pred === 0 && labels[i] === 1) fn++;
+  });
+  return { tp, fp, tn, fn };
+};
+
+export const computeBinaryMetrics = (probabilities, labels, threshold = 0.5) => {
+  const { tp, fp, tn, fn } = confusionMatrix(probabilities, labels, threshold);
+
+  const accuracy = safeDivide(tp + tn, tp + tn + fp + fn);
+  const precision = safeDivide(tp, tp + fp);
+  const recall = safeDivide(tp, tp + fn);
+  const f1Score = safeDivide(2 * precision * recall, precision + recall);
+  // Recall of the negative class; with recall it covers both classes
+  const specificity = safeDivide(tn, tn + fp);
+  const balancedAccuracy = (recall + specificity) / 2;
+
+  return { accuracy, precision, recall, f1Score, specificity, balancedAccuracy };
+};
+
+export const logLoss = (probabilities, labels, epsilon = 1e-7) => {
+  const total = probabilities.reduce((sum, p, i) => {
+    const clipped = Math.min(1 - epsilon, Math.max(epsilon, p));
+    return sum - (labels[i] === 1 ? Math.log(clipped) : Math.log(1 - clipped));
+  }, 0);
+  return safeDivide(total, probabilities.length);
+};
+
+const trapezoid = (points, xKey, yKey) => {
+  let area = 0;
+  for (let i = 1; i < points.length; i++) {
+    area += (points[i][xKey] - points[i - 1][xKey]) * (points[i][yKey] + points[i - 1][yKey]) / 2;
+  }
+  return area;
+};
+
+// Walks the predictions from the most to the least confident, emitting one
+// point per distinct score so tied scores move both rates together
+const sweepThresholds = (probabilities, labels) => {
+  const order = probabilities.map((p, i) => i).sort((a, b) => probabilities[b] - probabilities[a]);
+  const positives = labels.filter(label => label === 1).length;
+  const negatives = labels.length - positives;
+
+  const steps = [];
+  let tp = 0, fp = 0;
+  order.forEach((index, k) => {
+    if (labels[index] === 1) tp++; else fp++;
+    const next = order[k + 1];
+    if (next === undefined || probabilities[next] !== probabilities[index]) {
+      steps.push({ threshold: probabilities[index], tp, fp, positives, negatives });
+    }
+  });
+  return steps;
+};
+
+export const rocCurve = (probabilities, labels) => {
+  const points = [{ fpr: 0, tpr: 0, threshold: 1 }, ...sweepThresholds(probabilities, labels).map(step => ({
+    fpr: safeDivide(step.fp, step.negatives),
+    tpr: safeDivide(step.tp, step.positives),
+    threshold: step.threshold
+  }))];
+  return { points, auc: trapezoid(points, 'fpr', 'tpr') };
+};
+
+export const precisionRecallCurve = (probabilities, labels) => {
+  const steps = sweepThresholds(probabilities, labels);
+  const points = steps.map(step => ({
+    recall: safeDivide(step.tp, step.positives),
+    precision: safeDivide(step.tp, step.tp + step.fp),
+    threshold: step.threshold
+  }));
+  if (points.length > 0) {
+    points.unshift({ recall: 0, precision: points[0].precision, threshold: 1 });
+  }
+  return { points, auc: trapezoid(points, 'recall', 'precision') };
+};
+
+// Reliability diagram: predictions bucketed into equal-width probability
+// bins, comparing the mean prediction with the observed positive rate
+export const calibrationCurve = (probabilities, labels, bins = 10) => {
+  const buckets = Array.from({ length: bins }, () => ({ sum: 0, positives: 0, count: 0 }));
+  probabilities.forEach((p, i) => {
+    const bucket = buckets[Math.min(bins - 1, Math.floor(p * bins))];
+    bucket.sum += p;
+    bucket.positives += labels[i];
+    bucket.count++;
+  });
+  return buckets
+    .filter(bucket => bucket.count > 0)
+    .map(bucket => ({
+      meanPredicted: bucket.sum / bucket.count,
+      fractionPositive: bucket.positives / bucket.count,
+      count: bucket.count
+    }));
+};
+
+// Threshold metrics plus the threshold-free scores for one evaluated part
+export const summarizePredictions = ({ probabilities, labels }, threshold = 0.5) => ({
+  ...computeBinaryMetrics(probabilities, labels, threshold),
+  auc: rocCurve(probabilities, labels).auc,
+  logLoss: logLoss(probabilities, labels)
+});
+
+const argmax = (values) => values.reduce((best, value, i) => (value > values[best] ? i : best), 0);
+
+export const predictedClasses = (probabilities) => probabilities.map(argmax);
+
+// k x k counts, rows are the true class and columns the predicted one
+export const multiclassConfusion = (probabilities, labels, classCount) => {
+  const matrix = Array.from({ length: classCount }, () => new Array(classCount).fill(0));
+  predictedClasses(probabilities).forEach((predicted, i) => {
+    matrix[labels[i]][predicted]++;
+  });
+  return matrix;
+};
+
+// One-vs-rest precision/recall/F1 per class and their unweighted means
+export const computeMulticlassMetrics = (probabilities, labels, classCount) => {
+  const confusion = multiclassConfusion(probabilities, labels, classCount);
+  const perClass = confusion.map((row, k) => {
+    const tp = row[k];
+    const support = row.reduce((sum, count) => sum + count, 0);
+    const predicted = confusion.reduce((sum, other) => sum + other[k], 0);
+    const precision = safeDivide(tp, predicted);
+    const recall = safeDivide(tp, support);
+    return { precision, recall, f1Score: safeDivide(2 * precision * recall, precision + recall), support };
+  });
+  const mean = (key) => safeDivide(perClass.reduce((sum, entry) => sum + entry[key], 0), perClass.length);
+
+  return {
+    accuracy: safeDivide(confusion.reduce((sum, row, k) => sum + row[k], 0), labels.length),
+    macroPrecision: mean('precision'),
+    macroRecall: mean('recall'),
+    macroF1: mean('f1Score'),
+    perClass,
+    confusion
+  };
+};
+
+export const multiclassLogLoss = (probabilities, labels, epsilon = 1e-7) => {
+  const total = probabilities.reduce(
+    (sum, row, i) => sum - Math.log(Math.min(1 - epsilon, Math.max(epsilon, row[labels[i]]))),
+    0
+  );
+  return safeDivide(total, probabilities.length);
+};
+
+export const computeRegressionMetrics = (predictions, labels) => {
+  const mean = safeDivide(labels.reduce((sum, y) => sum + y, 0), labels.length);
+  let squared = 0, absolute = 0, total = 0;
+  predictions.forEach((prediction, i) => {
+    squared += (prediction - labels[i]) ** 2;
+    absolute += Math.abs(prediction - labels[i]);
+    total += (labels[i] - mean) ** 2;
+  });
+  const mse = safeDivide(squared, predictions.length);
+  return {
+    mse,
+    rmse: Math.sqrt(mse),
+    mae: safeDivide(absolute, predictions.length),
+    // 1 - residual / total sum of squares; 0 when the target is constant
+    r2: total === 0 ? 0 : 1 - squared / total
+  };
+};
+
+// Headline metrics for one evaluated part, whatever the kind of target.
+// The threshold only applies to binary targets.
+export const computeTaskMetrics = (part, task = 'binary', threshold = 0.5) => {
+  if (task === 'regression') return computeRegressionMetrics(part.predictions, part.labels);
+  if (task === 'multiclass') {
+    return computeMulticlassMetrics(part.probabilities, part.labels, part.probabilities[0]?.length ?? 0);
+  }
+  return computeBinaryMetrics(part.probabilities, part.labels, threshold);
+};
+
+// Flat numeric summary at a 0.5 threshold, as stored in the experiment history
+export const summarizeTaskPredictions = (part, task = 'binary') => {
+  if (task === 'regression') return computeRegressionMetrics(part.predictions, part.labels);
+  if (task === 'multiclass') {
+    const { accuracy, macroPrecision, macroRecall, macroF1 } = computeTaskMetrics(part, task);
+    return {
+      accuracy,
+      precision: macroPrecision,
+      recall: macroRecall,
+      f1Score: macroF1,
+      logLoss: multiclassLogLoss(part.probabilities, part.labels)
+    };
+  }
+  return summarizePredictions(part);
+};
@@ -0,0 +1,93 @@
+import * as tf from '@tensorflow/tfjs';
+
+export const ACTIVATIONS = ['relu', 'elu', 'selu', 'tanh', 'sigmoid', 'linear'];
+
+export const DEFAULT_ARCHITECTURE = [
+  { units: 10, activation: 'relu', dropout: 0, l2: 0 },
+  { units: 5, activation: 'relu', dropout: 0, l2: 0 }
+];
+
+export const createHiddenLayer = () => ({ units: 8, activation: 'relu', dropout: 0, l2: 0 });
+
+// Output layer for each kind of target: a probability, one probability per
+// class or an unbounded value
+export const outputLayerFor = (task = 'binary', classCount = 2) => {
+  if (task === 'multiclass') return { units: classCount, activation: 'softmax' };
+  if (task === 'regression') return { units: 1, activation: 'linear' };
+  return { units: 1, activation: 'sigmoid' };
+};
+
+// Builds an uncompiled sequential model: the configured hidden layers
+// (each optionally followed by dropout) and the output layer, a single
+// sigmoid unit unless told otherwise. With a seed, every kernel gets its own
+// seeded Glorot initialiser so the starting weights are reproducible.
+export const buildModel = (inputSize, hiddenLayers, seed, output = outputLayerFor()) => {
+  const model = tf.sequential();
+  const kernelInitializer = (i) =>
+    (seed === undefined ? undefined : tf.initializers.glorotUniform({ seed: seed + i }));
+
+  hiddenLayers.forEach((layer, i) => {
+    model.add(tf.layers.dense({
+      ...(i === 0 ? { inputShape: [inputSize] } : {}),
+      units: layer.units,
+      activation: layer.activation,
+      kernelInitializer: kernelInitializer(i),
+      kernelRegularizer: layer.l2 > 0 ? tf.regularizers.l2({ l2: layer.l2 }) : undefined
+    }));
+
+    if (layer.dropout > 0) {
+      model.add(tf.layers.dropout({ rate: layer.dropout }));
+    }
+  });
+
+  model.add(tf.layers.dense({
+    ...(hiddenLayers.length === 0 ? { inputShape: [inputSize] } : {}),
+    ...output,
+    kernelInitializer: kernelInitializer(hiddenLayers.length)
+  }));
+
+  return model;
+};
+
+export const getDenseLayers = (model) =>
+  model.layers.filter(layer => layer.getClassName() === 'Dense');
+
+// One model exposing every dense layer's output, built once per trained model
+// and shared by everything that reads activations. It owns no tensors: it
+// reuses the trained model's layers, so disposing it would dispose those
+// weights too. It is dropped with the trained model instead.
+const activationModels = new WeakMap();
+
+export const getActivationModel = (model) => {
+  if (!activationModels.has(model)) {
+    activationModels.set(model, tf.model({
+      inputs: model.input,
+      outputs: getDenseLayers(model).map(layer => layer.output)
+    }));
+  }
+  return activationModels.get(model);
+};
+
+// Outputs of every dense layer for an input tensor, as an array even when the
+// network has a single dense layer. Call inside tf.tidy.
+export const predictActivations = (model, input) => {
+  const outputs = getActivationModel(model).predict(input);
+  return Array.isArray(outputs) ? outputs : [outputs];
+};
+
+// Layer structure for the visualisation, read from the model itself
+export const describeNetwork = (model) => {
+  if (!model) return [];
+
+  const denseLayers = getDenseLayers(model);
+  const inputSize = model.inputs[0].shape[1];
+
+  return [
+    { nodes: inputSize, name: 'Input Layer' },
+    ...denseLayers.map((layer, i) => ({
+      nodes: layer.units,
+      name: i === denseLayers.length - 1 ? 'Output Layer' : `Hidden Layer ${i + 1}`,
+      activation: layer.activation.getClassName().toLowerCase()
+    }))
+  ];
+};
@@ -0,0 +1,106 @@
+import * as tf from '@tensorflow/tfjs';
+import { downloadJson } from './download';
+
+const REGISTRY_KEY = 'nn-class/saved-models';
+const METADATA_PREFIX = 'nn-class/model-metadata/';
+export const METADATA_FORMAT = 'nn-class-model-metadata';
+
+export const STORAGE_OPTIONS = {
+  indexeddb: 'IndexedDB',
+  localstorage: 'localStorage'
+};
+
+const readRegistry = () => {
+  try {
+    return JSON.parse(localStorage.getItem(REGISTRY_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const writeRegistry = (entries) => localStorage.setItem(REGISTRY_KEY, JSON.stringify(entries));
+
+const modelUrl = ({ id, storage }) => `${storage}://nn-class-${id}`;
+
+const slugify = (name) => name.trim().replace(/[^a-z0-9-_]+/gi, '-').replace(/^-+|-+$/g, '') || 'model';
+
+// Everything besides the weights that is needed to reuse a model exactly as
+// it was trained: feature schema, fitted preprocessor, threshold and history
+export const createMetadata = ({ name, schema, threshold, trainingHistory, evaluation, architecture, trainingConfig, manifest }) => ({
+  format: METADATA_FORMAT,
+  version: 1,
+  name,
+  createdAt: new Date().toISOString(),
+  tfjsVersion: tf.version.tfjs,
+  schema,
+  threshold,
+  trainingHistory,
+  evaluation,
+  architecture,
+  trainingConfig,
+  manifest
+});
+
+export const listSavedModels = () => readRegistry();
+
+export const saveModel = async (model, metadata, storage = 'indexeddb') => {
+  const entry = {
+    id: `${Date.now().toString(36)}-${slugify(metadata.name)}`,
+    name: metadata.name,
+    savedAt: metadata.createdAt,
+    storage
+  };
+
+  await model.save(modelUrl(entry));
+  localStorage.setItem(METADATA_PREFIX + entry.id, JSON.stringify(metadata));
+  writeRegistry([entry, ...readRegistry()]);
+  return entry;
+};
+
+export const loadSavedModel = async (id) => {
+  const entry = readRegistry().find(e => e.id === id);
+  if (!entry) {
+    throw new Error(`No saved model with id ${id}`);
+  }
+  const metadata = JSON.parse(localStorage.getItem(METADATA_PREFIX + id));
+  const model = await tf.loadLayersModel(modelUrl(entry));
+  return { model, metadata };
+};
+
+export const deleteSavedModel = async (id) => {
+  const entry = readRegistry().find(e => e.id === id);
+  if (!entry) return;
+  try {
+    await tf.io.removeModel(modelUrl(entry));
+  } finally {
+    localStorage.removeItem(METADATA_PREFIX + id);
+    writeRegistry(readRegistry().filter(e => e.id !== id));
+  }
+};
+
+// Downloads <name>.json + <name>.weights.bin through tf.io and the metadata
+// next to them as <name>.metadata.json
+export const downloadModel = async (model, metadata) => {
+  const name = slugify(metadata.name);
+  await model.save(`downloads://${name}`);
+  downloadJson(`${name}.metadata.json`, metadata);
+};
+
+// Accepts the files produced by downloadModel in any order
+export const loadModelFromFiles = async (files) => {
+  const jsonFiles = await Promise.all(
+    [...files]
+      .filter(file => file.name.endsWith('.json'))
+      .map(async file => ({ file, content: JSON.parse(await file.text()) }))
+  );
+  const modelJson = jsonFiles.find(({ content }) => content.modelTopology);
+  const metadataJson = jsonFiles.find(({ content }) => content.format === METADATA_FORMAT);
+  const weightFiles = [...files].filter(file => file.name.endsWith('.bin'));
+
+  if (!modelJson || !metadataJson || weightFiles.length === 0) {
+    throw new Error('Select the model .json, its .weights.bin and the .metadata.json file together.');
+  }
+
+  const model = await tf.loadLayersModel(tf.io.browserFiles([modelJson.file, ...weightFiles]));
+  return { model, metadata: metadataJson.content };
+};
@@ -0,0 +1,13 @@
+import * as tf from '@tensorflow/tfjs';
+
+// Topology and weights as plain data that can cross postMessage
+export const serializeModel = async (model) => {
+  let artifacts;
+  await model.save(tf.io.withSaveHandler(async (modelArtifacts) => {
+    artifacts = modelArtifacts;
+    return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+  }));
+  return artifacts;
+};
+
+export const deserializeModel = (artifacts) => tf.loadLayersModel(tf.io.fromMemory(artifacts));
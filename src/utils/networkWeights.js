@@ -0,0 +1,25 @@
+import { getDenseLayers } from './modelBuilder';
+
+// Reads the kernel and bias of every dense layer so the visualisation can draw
+// the real connections. kernel[i][j] is the weight from input i to unit j.
+export const extractDenseWeights = async (model) => {
+  const denseLayers = getDenseLayers(model);
+
+  return Promise.all(denseLayers.map(async layer => {
+    const [kernel, bias] = layer.getWeights();
+    return {
+      kernel: await kernel.array(),
+      bias: bias ? await bias.array() : []
+    };
+  }));
+};
+
+export const weightRange = (weights) => {
+  let maxAbs = 0;
+  weights.forEach(({ kernel }) => {
+    kernel.forEach(row => row.forEach(w => {
+      maxAbs = Math.max(maxAbs, Math.abs(w));
+    }));
+  });
+  return maxAbs;
+};
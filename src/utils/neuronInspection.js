@@ -0,0 +1,30 @@
+import * as tf from '@tensorflow/tfjs';
+import { predictActivations } from './modelBuilder';
+import { transformRows } from './preprocessing';
+
+const TOP_SAMPLES = 5;
+
+// Outputs of one dense layer for raw rows, one array of unit values per row
+const layerOutputs = async (model, preprocessor, rows, denseIndex) => {
+  if (rows.length === 0) return [];
+  const output = tf.tidy(() =>
+    predictActivations(model, tf.tensor2d(transformRows(preprocessor, rows)))[denseIndex]
+  );
+  const values = await output.array();
+  output.dispose();
+  return values;
+};
+
+// Activation of one neuron over the validation rows and the training rows
+// that excite it most
+export const inspectNeuron = async (model, preprocessor, samples, denseIndex, unit) => {
+  const validation = (await layerOutputs(model, preprocessor, samples.validation, denseIndex)).map(values => values[unit]);
+  const train = (await layerOutputs(model, preprocessor, samples.train, denseIndex)).map(values => values[unit]);
+
+  const topSamples = train
+    .map((value, index) => ({ value, row: samples.train[index] }))
+    .sort((a, b) => b.value - a.value)
+    .slice(0, TOP_SAMPLES);
+
+  return { validation, topSamples };
+};
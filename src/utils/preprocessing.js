@@ -0,0 +1,151 @@
+import * as d3 from 'd3';
+import { isMissing } from './schema';
+
+export const SCALING_OPTIONS = {
+  minmax: 'Min-max [0, 1]',
+  zscore: 'Z-score'
+};
+
+export const ENCODING_OPTIONS = {
+  onehot: 'One-hot',
+  ordinal: 'Ordinal'
+};
+
+export const IMPUTATION_OPTIONS = {
+  mean: 'Mean',
+  median: 'Median',
+  mode: 'Mode',
+  indicator: 'Mean + missing indicator'
+};
+
+export const DEFAULT_PREPROCESSING = {
+  scaling: 'minmax',
+  encoding: 'onehot',
+  imputation: 'mean'
+};
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const mode = (values) => {
+  const counts = new Map();
+  values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+  return [...counts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+};
+
+const fitNumeric = (column, values, config) => {
+  const numbers = values.map(Number);
+  const fill = config.imputation === 'median' ? median(numbers)
+    : config.imputation === 'mode' ? mode(numbers)
+      : mean(numbers);
+
+  if (config.scaling === 'zscore') {
+    const mu = mean(numbers);
+    const std = Math.sqrt(mean(numbers.map(v => (v - mu) ** 2)));
+    return { fill, mean: mu, std: std || 1 };
+  }
+  const [min, max] = d3.extent(numbers);
+  return { fill, min, max };
+};
+
+// Binary and categorical columns are always imputed with their most
+// frequent value; the mean or median of a category is meaningless.
+const fitCategorical = (column, values) => ({
+  fill: mode(values),
+  categories: column.type === 'binary'
+    ? column.values
+    : [...new Set(values)].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+});
+
+// Fits every transform on the given rows only (the training split) and
+// returns a plain JSON object, so the exact same pipeline can be stored with
+// the model and replayed at inference time.
+export const fitPreprocessor = (rows, columns, config = DEFAULT_PREPROCESSING) => ({
+  config,
+  columns: columns.map(column => {
+    const observed = rows
+      .map(row => row[column.name])
+      .filter(value => !isMissing(value))
+      .map(value => (column.type === 'numeric' ? Number(value) : String(value).trim()))
+      .filter(value => column.type !== 'numeric' || Number.isFinite(value));
+    const missing = rows.length - observed.length;
+    const values = observed.length > 0 ? observed : [column.type === 'numeric' ? 0 : column.values?.[0] ?? ''];
+
+    const params = column.type === 'numeric'
+      ? fitNumeric(column, values, config)
+      : fitCategorical(column, values);
+
+    return {
+      name: column.name,
+      type: column.type,
+      ...params,
+      indicator: config.imputation === 'indicator' && missing > 0
+    };
+  })
+});
+
+const scaleNumeric = (column, scaling, value) => {
+  if (scaling === 'zscore') {
+    return (value - column.mean) / column.std;
+  }
+  const range = column.max - column.min || 1;
+  return (value - column.min) / range;
+};
+
+const transformValue = (column, config, raw) => {
+  // Text in a numeric column is imputed like a blank cell
+  const missing = isMissing(raw) || (column.type === 'numeric' && !Number.isFinite(Number(raw)));
+  const value = missing ? column.fill : raw;
+  let encoded;
+
+  if (column.type === 'numeric') {
+    encoded = [scaleNumeric(column, config.scaling, Number(value))];
+  } else {
+    const index = column.categories.indexOf(String(value).trim());
+    if (column.type === 'binary') {
+      encoded = [index === 1 ? 1 : 0];
+    } else if (config.encoding === 'onehot') {
+      // Unseen categories encode as all zeros
+      encoded = column.categories.map((_, i) => (i === index ? 1 : 0));
+    } else {
+      const fallback = column.categories.indexOf(column.fill);
+      encoded = [column.categories.length > 1
+        ? (index >= 0 ? index : fallback) / (column.categories.length - 1)
+        : 0];
+    }
+  }
+
+  return column.indicator ? [...encoded, missing ? 1 : 0] : encoded;
+};
+
+export const transformRow = (preprocessor, row) =>
+  preprocessor.columns.flatMap(column => transformValue(column, preprocessor.config, row[column.name]));
+
+export const transformRows = (preprocessor, rows) => rows.map(row => transformRow(preprocessor, row));
+
+// Names of the encoded model inputs, in the order transformRow produces them
+export const getFeatureNames = (preprocessor) =>
+  preprocessor.columns.flatMap(column => {
+    const names = column.type === 'categorical' && preprocessor.config.encoding === 'onehot'
+      ? column.categories.map(category => `${column.name}=${category}`)
+      : [column.name];
+    return column.indicator ? [...names, `${column.name} missing`] : names;
+  });
+
+// Source column of every encoded input, parallel to getFeatureNames
+export const getFeatureSources = (preprocessor) =>
+  preprocessor.columns.flatMap(column => {
+    const width = column.type === 'categorical' && preprocessor.config.encoding === 'onehot'
+      ? column.categories.length
+      : 1;
+    return Array(width + (column.indicator ? 1 : 0)).fill(column.name);
+  });
+
+// A raw row holding every column's imputation value: the "typical" input
+export const baselineRow = (preprocessor) =>
+  Object.fromEntries(preprocessor.columns.map(column => [column.name, column.fill]));
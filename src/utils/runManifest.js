@@ -0,0 +1,59 @@
+import * as tf from '@tensorflow/tfjs';
+
+export const MANIFEST_FORMAT = 'nn-class-run-manifest';
+
+// SHA-256 of the parsed table (header and every cell in column order), so
+// the same CSV gives the same hash regardless of line endings or quoting.
+// Null where the page has no Web Crypto (non-secure origins such as a LAN
+// address), so a missing hash never costs the trained model.
+export const hashDataset = async (data) => {
+  if (!globalThis.crypto?.subtle) return null;
+  const fields = data.schema.map(column => column.name);
+  const text = JSON.stringify([fields, ...data.rows.map(row => fields.map(field => row[field] ?? null))]);
+  try {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  } catch {
+    return null;
+  }
+};
+
+// Everything needed to reproduce a run's numbers: the exact data, how it was
+// cleaned, split and encoded, the model and its hyperparameters, and the
+// runtime that trained it
+export const createRunManifest = async ({ job, prepared, split, trainingRows }) => ({
+  format: MANIFEST_FORMAT,
+  version: 1,
+  createdAt: new Date().toISOString(),
+  seed: job.trainingConfig.seed,
+  dataset: {
+    name: job.data.name,
+    sha256: await hashDataset(job.data),
+    rows: job.data.rows.length,
+    rowsAfterCleaning: prepared.rows.length,
+    droppedRows: job.data.rows.length - prepared.rows.length,
+    target: prepared.target,
+    task: prepared.task,
+    classes: prepared.classes,
+    positiveClass: prepared.positiveClass,
+    negativeClass: prepared.negativeClass,
+    features: prepared.columns.map(column => column.name)
+  },
+  split: {
+    ...job.splitConfig,
+    rows: {
+      train: split.train.rows.length,
+      validation: split.val.rows.length,
+      test: split.test.rows.length,
+      // After over/undersampling or SMOTE
+      trainUsedForFitting: trainingRows
+    }
+  },
+  preprocessing: job.preprocessingConfig,
+  architecture: job.architecture,
+  hyperparameters: job.trainingConfig,
+  environment: {
+    tfjsVersion: tf.version.tfjs,
+    backend: tf.getBackend()
+  }
+});
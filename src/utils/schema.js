@@ -0,0 +1,103 @@
+import Papa from 'papaparse';
+import * as d3 from 'd3';
+
+export const COLUMN_TYPES = ['numeric', 'binary', 'categorical'];
+
+export const isMissing = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const isNumeric = (value) => value !== '' && Number.isFinite(Number(value));
+
+// 'Time_spent_Alone' -> 'Time spent Alone'
+export const formatColumnName = (name) => name.replace(/_/g, ' ');
+
+export const parseCsv = (name, text) => {
+  const results = Papa.parse(text, {
+    header: true,
+    skipEmptyLines: true
+  });
+
+  const fields = results.meta.fields.filter(field => field !== '');
+  return { name, rows: results.data, schema: inferSchema(results.data, fields) };
+};
+
+export const parseCsvFile = async (file) => parseCsv(file.name, await file.text());
+
+const inferColumn = (rows, name) => {
+  const values = rows.map(row => row[name]).filter(value => !isMissing(value));
+  const missing = rows.length - values.length;
+  const distinct = [...new Set(values.map(value => String(value).trim()))];
+
+  // An empty column has no levels to pick from; as a numeric column it is
+  // imputed with zero and gets a fixed slider
+  if (values.length === 0) {
+    return { name, type: 'numeric', missing, min: 0, max: 0, step: 1 };
+  }
+
+  if (values.every(isNumeric)) {
+    const numbers = values.map(Number);
+    const isZeroOne = distinct.length === 2 && numbers.every(n => n === 0 || n === 1);
+
+    if (!isZeroOne) {
+      // Spreading a large column into Math.min overflows the call stack
+      const [min, max] = d3.extent(numbers);
+      const integer = numbers.every(Number.isInteger);
+      return {
+        name,
+        type: 'numeric',
+        missing,
+        min,
+        max,
+        step: integer ? 1 : Number(((max - min) / 100).toPrecision(2)) || 1
+      };
+    }
+  }
+
+  // Sorting puts the "positive" value last for the usual pairs
+  // (No/Yes, False/True, 0/1, Extrovert/Introvert)
+  const sorted = distinct.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  return {
+    name,
+    type: sorted.length <= 2 ? 'binary' : 'categorical',
+    missing,
+    values: sorted
+  };
+};
+
+export const inferSchema = (rows, fields) => fields.map(name => inferColumn(rows, name));
+
+export const getColumn = (schema, name) => schema.find(column => column.name === name);
+
+// Two-level targets are classified with a sigmoid output, other categorical
+// ones with a softmax over their levels and numeric ones are regressed
+export const TASKS = {
+  binary: 'Binary classification',
+  multiclass: 'Multi-class classification',
+  regression: 'Regression'
+};
+
+export const targetTask = (column) => {
+  if (column.type === 'numeric') return 'regression';
+  return column.type === 'binary' ? 'binary' : 'multiclass';
+};
+
+// Prefer the last binary column in the file as the target
+export const defaultSelection = (schema) => {
+  const binaryColumns = schema.filter(column => column.type === 'binary' && column.values.length === 2);
+  const target = (binaryColumns[binaryColumns.length - 1] || schema[schema.length - 1]).name;
+
+  return {
+    target,
+    positiveClass: getColumn(schema, target).values?.[1] ?? '',
+    features: schema.map(column => column.name).filter(name => name !== target)
+  };
+};
+
+export const defaultInputs = (schema) =>
+  Object.fromEntries(schema.map(column => {
+    if (column.type === 'numeric') {
+      const mid = (column.min + column.max) / 2;
+      return [column.name, Math.round(mid / column.step) * column.step];
+    }
+    return [column.name, column.values[0]];
+  }));
@@ -0,0 +1,99 @@
+export const DEFAULT_SPLIT_CONFIG = {
+  mode: 'holdout',
+  trainRatio: 0.7,
+  valRatio: 0.15,
+  testRatio: 0.15,
+  folds: 5
+};
+
+// mulberry32: small, fast and good enough to make shuffles reproducible
+export const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const shuffle = (array, rng) => {
+  const result = [...array];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// Shuffled row indices grouped by label
+const indicesByClass = (labels, indices, rng) => {
+  const groups = new Map();
+  indices.forEach(index => {
+    const label = labels[index];
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(index);
+  });
+  return [...groups.keys()].sort().map(label => shuffle(groups.get(label), rng));
+};
+
+// Three-way split that keeps the class ratio of every part close to the
+// ratio of the whole dataset. Returns row indices for each part.
+export const stratifiedSplit = (labels, { trainRatio, valRatio, testRatio }, seed) => {
+  const rng = createRng(seed);
+  const total = trainRatio + valRatio + testRatio;
+  const split = { train: [], val: [], test: [] };
+
+  indicesByClass(labels, labels.map((_, i) => i), rng).forEach(group => {
+    const testCount = Math.round(group.length * testRatio / total);
+    const valCount = Math.round(group.length * valRatio / total);
+    split.test.push(...group.slice(0, testCount));
+    split.val.push(...group.slice(testCount, testCount + valCount));
+    split.train.push(...group.slice(testCount + valCount));
+  });
+
+  return {
+    train: shuffle(split.train, rng),
+    val: shuffle(split.val, rng),
+    test: shuffle(split.test, rng)
+  };
+};
+
+// Stratified k-fold over the given indices: each class is dealt round-robin
+// into the folds. Returns [{ train, val }] with one entry per fold.
+export const stratifiedKFold = (labels, indices, k, seed) => {
+  const rng = createRng(seed);
+  const folds = Array.from({ length: k }, () => []);
+
+  let position = 0;
+  indicesByClass(labels, indices, rng).forEach(group => {
+    group.forEach(index => {
+      folds[position % k].push(index);
+      position++;
+    });
+  });
+
+  return folds.map((val, i) => ({
+    train: shuffle(folds.filter((_, j) => j !== i).flat(), rng),
+    val
+  }));
+};
+
+// Continuous targets are stratified on their quantile bin instead, so every
+// part still covers the whole range
+export const quantileStrata = (values, bins = 5) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const edges = Array.from({ length: bins - 1 }, (_, i) => sorted[Math.floor(sorted.length * (i + 1) / bins)]);
+  return values.map(value => edges.filter(edge => value >= edge).length);
+};
+
+export const summarizeFolds = (foldMetrics) => {
+  const keys = Object.keys(foldMetrics[0] || {});
+  return Object.fromEntries(keys.map(key => {
+    const values = foldMetrics.map(m => m[key]).filter(Number.isFinite);
+    const mean = values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+    const std = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length || 1));
+    return [key, { mean, std }];
+  }));
+};
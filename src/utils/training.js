@@ -0,0 +1,34 @@
+import * as tf from '@tensorflow/tfjs';
+
+export const OPTIMIZERS = {
+  sgd: { label: 'SGD', create: (learningRate) => tf.train.sgd(learningRate) },
+  adam: { label: 'Adam', create: (learningRate) => tf.train.adam(learningRate) },
+  rmsprop: { label: 'RMSProp', create: (learningRate) => tf.train.rmsprop(learningRate) }
+};
+
+export const DEFAULT_TRAINING_CONFIG = {
+  optimizer: 'adam',
+  learningRate: 0.001,
+  epochs: 50,
+  batchSize: 32,
+  patience: 0,
+  compareBaselines: true,
+  imbalance: 'none',
+  loss: 'binaryCrossentropy',
+  focalGamma: 2,
+  // Drives the data split, initial weights, batch order and dropout masks
+  seed: 42
+};
+
+export const createOptimizer = ({ optimizer, learningRate }) =>
+  OPTIMIZERS[optimizer].create(learningRate);
+
+export const EMPTY_METRICS = {
+  accuracy: 0,
+  precision: 0,
+  recall: 0,
+  f1Score: 0,
+  specificity: 0,
+  balancedAccuracy: 0,
+  validationLoss: 0
+};
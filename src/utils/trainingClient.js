@@ -0,0 +1,32 @@
+import { TO_WORKER, FROM_WORKER } from '../workers/protocol';
+
+// Owns the training worker. Cancelling terminates the worker outright (even
+// mid-batch); the next job starts a fresh one.
+export const createTrainingClient = (onMessage) => {
+  let worker = null;
+
+  const ensureWorker = () => {
+    if (!worker) {
+      worker = new Worker(new URL('../workers/training.worker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = (event) => onMessage(event.data);
+      worker.onerror = (event) => onMessage({ type: FROM_WORKER.ERROR, message: event.message });
+    }
+    return worker;
+  };
+
+  const send = (type, payload = {}) => worker?.postMessage({ type, ...payload });
+
+  return {
+    train: (job) => ensureWorker().postMessage({ type: TO_WORKER.TRAIN, job }),
+    search: (job, trials) => ensureWorker().postMessage({ type: TO_WORKER.SEARCH, job, trials }),
+    fineTune: (job) => ensureWorker().postMessage({ type: TO_WORKER.FINE_TUNE, job }),
+    ensemble: (job, seeds) => ensureWorker().postMessage({ type: TO_WORKER.ENSEMBLE, job, seeds }),
+    pause: () => send(TO_WORKER.PAUSE),
+    resume: () => send(TO_WORKER.RESUME),
+    stop: () => send(TO_WORKER.STOP),
+    cancel: () => {
+      worker?.terminate();
+      worker = null;
+    }
+  };
+};
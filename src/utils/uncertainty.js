@@ -0,0 +1,122 @@
+import * as tf from '@tensorflow/tfjs';
+import * as d3 from 'd3';
+import { transformRow, transformRows } from './preprocessing';
+import { createRng, shuffle } from './splits';
+
+export const UNCERTAINTY_MODES = {
+  off: 'Off',
+  mcDropout: 'Monte Carlo dropout',
+  ensemble: 'Deep ensemble'
+};
+
+export const DEFAULT_UNCERTAINTY_CONFIG = {
+  mode: 'off',
+  passes: 100,
+  members: 5,
+  // Central share of the samples covered by the interval
+  level: 0.9
+};
+
+// Below this share of samples backing the headline class, the prediction is
+// flagged as contested
+const MIN_AGREEMENT = 0.8;
+// Regression samples spread wider than this share of the target's standard
+// deviation are flagged
+const MAX_RELATIVE_SPREAD = 0.25;
+const REFERENCE_ROWS = 1000;
+// An input is out of distribution when its nearest training row is further
+// away than this quantile of the training rows' own nearest-neighbour distances
+const NEIGHBOUR_QUANTILE = 0.99;
+
+export const hasDropout = (model) =>
+  model.layers.some(layer => layer.getClassName() === 'Dropout' && layer.rate > 0);
+
+// The same input through the network `passes` times with dropout left on, as
+// during training; every pass drops a different set of units
+export const mcDropoutSamples = async (model, encodedRow, passes) => {
+  const output = tf.tidy(() =>
+    model.apply(tf.tensor2d(Array.from({ length: passes }, () => encodedRow)), { training: true })
+  );
+  const values = await output.array();
+  output.dispose();
+  return values;
+};
+
+// One output per member; each member encodes the raw inputs with the
+// preprocessor it was trained with
+export const ensembleSamples = async (members, inputs) => {
+  const outputs = members.map(({ model, preprocessor }) =>
+    tf.tidy(() => model.predict(tf.tensor2d([transformRow(preprocessor, inputs)])))
+  );
+  const values = await Promise.all(outputs.map(async output => (await output.array())[0]));
+  tf.dispose(outputs);
+  return values;
+};
+
+// Mean, interval and agreement of sampled outputs (one output row per
+// sample). `values` holds each sample's probability of the headline class,
+// or its predicted value for regression.
+export const summarizeSamples = (samples, task, threshold = 0.5, level = DEFAULT_UNCERTAINTY_CONFIG.level) => {
+  let predicted = null;
+  let values;
+  let agreement = null;
+
+  if (task === 'regression') {
+    values = samples.map(sample => sample[0]);
+  } else if (task === 'multiclass') {
+    const meanOutput = samples[0].map((_, k) => d3.mean(samples, sample => sample[k]));
+    predicted = d3.maxIndex(meanOutput);
+    values = samples.map(sample => sample[predicted]);
+    agreement = d3.mean(samples, sample => (d3.maxIndex(sample) === predicted ? 1 : 0));
+  } else {
+    const positive = d3.mean(samples, sample => sample[0]) > threshold;
+    predicted = positive ? 1 : 0;
+    values = samples.map(sample => (positive ? sample[0] : 1 - sample[0]));
+    agreement = d3.mean(samples, sample => ((sample[0] > threshold) === positive ? 1 : 0));
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const tail = (1 - level) / 2;
+  return {
+    predicted,
+    mean: d3.mean(values),
+    std: samples.length > 1 ? d3.deviation(values) : 0,
+    interval: [d3.quantileSorted(sorted, tail), d3.quantileSorted(sorted, 1 - tail)],
+    values,
+    agreement,
+    level
+  };
+};
+
+export const isContested = (summary, task, targetScale) => (task === 'regression'
+  ? Number.isFinite(targetScale) && targetScale > 0 && summary.std > MAX_RELATIVE_SPREAD * targetScale
+  : summary.agreement < MIN_AGREEMENT);
+
+const squaredDistance = (a, b) => a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0);
+
+const nearestDistance = (rows, target, skip = -1) => {
+  let best = Infinity;
+  rows.forEach((row, i) => {
+    if (i !== skip) best = Math.min(best, squaredDistance(row, target));
+  });
+  return Math.sqrt(best);
+};
+
+// Encoded training rows and the distance below which most of them have a
+// neighbour, so a new input can be compared with how close training rows
+// usually sit to one another
+export const createTrainingReference = (preprocessor, trainRows) => {
+  const rows = transformRows(
+    preprocessor,
+    shuffle(trainRows, createRng(1)).slice(0, REFERENCE_ROWS)
+  );
+  if (rows.length < 2) return null;
+  const distances = rows.map((row, i) => nearestDistance(rows, row, i)).sort((a, b) => a - b);
+  return { rows, threshold: d3.quantileSorted(distances, NEIGHBOUR_QUANTILE) };
+};
+
+export const checkDistribution = (reference, encodedRow) => {
+  const distance = nearestDistance(reference.rows, encodedRow);
+  // Datasets full of duplicate rows can have a zero threshold
+  return { distance, threshold: reference.threshold, outlying: distance > Math.max(reference.threshold, 1e-9) };
+};
@@ -0,0 +1,14 @@
+import { useEffect, useState } from 'react';
+
+// The value as of the last change that was followed by `delay` ms of quiet,
+// so dragging a slider does not run the model for every intermediate step
+export const useDebouncedValue = (value, delay) => {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+};
@@ -0,0 +1,29 @@
+// Messages exchanged between App and the training worker. Every message is a
+// plain object with a `type` field; the other fields are listed per type.
+
+// Main thread -> worker
+export const TO_WORKER = {
+  TRAIN: 'train', // { job }
+  SEARCH: 'search', // { job, trials } fits every trial on one split, one after another
+  FINE_TUNE: 'fineTune', // { job } continues training a finished model on labelled examples
+  ENSEMBLE: 'ensemble', // { job, seeds } fits one ensemble member per seed on one split
+  PAUSE: 'pause',
+  RESUME: 'resume',
+  STOP: 'stop' // finish the current fit early and still report the result
+};
+
+// Worker -> main thread
+export const FROM_WORKER = {
+  READY: 'ready', // { backend }
+  PHASE: 'phase', // { fold, totalFolds, schema, artifacts, weights, snapshot } when a new model starts fitting
+  EPOCHS: 'epochs', // { entries: [{ epoch, loss, accuracy, valLoss, valAccuracy }], snapshots: [{ epoch, weights, activations }], weights }
+  BATCH: 'batch', // { epoch, batch, batchesPerEpoch }
+  FOLD: 'fold', // { currentFold, totalFolds, foldMetrics, summary }
+  DONE: 'done', // { artifacts, schema, evaluation, history, manifest, samples, baselines, stopped, stoppedEarly }
+  TRIAL: 'trial', // { trial, totalTrials, result } after each search trial
+  SEARCH_DONE: 'searchDone', // { stopped }
+  FINE_TUNED: 'fineTuned', // { artifacts, before, evaluation, history, trainingRows }
+  MEMBER: 'member', // { index, totalMembers, artifacts, preprocessor } after each ensemble member
+  ENSEMBLE_DONE: 'ensembleDone', // { stopped }
+  ERROR: 'error' // { message }
+};
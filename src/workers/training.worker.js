@@ -0,0 +1,608 @@
+import * as tf from '@tensorflow/tfjs';
+import { setWasmPaths } from '@tensorflow/tfjs-backend-wasm';
+import { TO_WORKER, FROM_WORKER } from './protocol';
+import { buildModel, getDenseLayers, outputLayerFor } from '../utils/modelBuilder';
+import { createOptimizer } from '../utils/training';
+import { resampleTraining, computeClassWeights, createLoss } from '../utils/imbalance';
+import { extractDenseWeights } from '../utils/networkWeights';
+import { prepareDataset, buildSplit, readLabel } from '../utils/dataPreparation';
+import { stratifiedSplit, stratifiedKFold, summarizeFolds, quantileStrata, createRng } from '../utils/splits';
+import { computeTaskMetrics, summarizeTaskPredictions } from '../utils/metrics';
+import { serializeModel, deserializeModel } from '../utils/modelTransfer';
+import { computeGlobalInsights } from '../utils/importance';
+import { trainBaselines } from '../utils/baselines';
+import { createRunManifest } from '../utils/runManifest';
+import { transformRows } from '../utils/preprocessing';
+import { selectReplayRows } from '../utils/fineTuning';
+import { WASM_PATHS } from '../utils/wasmPaths';
+
+// Epoch logs are batched so the UI re-renders a few times per second at most
+const PROGRESS_INTERVAL_MS = 200;
+// fit() only awaits microtasks; yielding a macrotask lets pause/stop arrive
+const YIELD_INTERVAL_MS = 50;
+const SNAPSHOT_PROBE_ROWS = 200;
+
+let pauseGate = null;
+let stopRequested = false;
+let activeModel = null;
+
+const post = (type, payload = {}) => self.postMessage({ type, ...payload });
+
+// Training runs on the WebAssembly backend, or on plain JavaScript where
+// wasm cannot load; the backend chosen in the UI only applies to inference on
+// the main thread. The wasm backend is imported statically: a worker bundle
+// cannot be split into lazily loaded chunks.
+setWasmPaths(WASM_PATHS);
+
+let backendReady = null;
+const setupBackend = () => {
+  if (!backendReady) {
+    backendReady = tf.setBackend('wasm')
+      .then(ready => ready || tf.setBackend('cpu'))
+      .catch(() => tf.setBackend('cpu'))
+      .then(() => tf.ready());
+  }
+  return backendReady;
+};
+
+// Lets pause and stop reach a running fit(): called after every batch, it
+// yields a macrotask now and then, waits while paused and ends training on stop
+const createFitControl = () => {
+  let lastYield = Date.now();
+  return async (model) => {
+    if (Date.now() - lastYield >= YIELD_INTERVAL_MS) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      lastYield = Date.now();
+    }
+    if (pauseGate) {
+      await pauseGate.promise;
+    }
+    if (stopRequested) {
+      model.stopTraining = true;
+    }
+  };
+};
+
+const createProgressReporter = () => {
+  let pending = [];
+  let lastFlush = 0;
+
+  const flush = () => {
+    if (pending.length === 0) return;
+    post(FROM_WORKER.EPOCHS, {
+      entries: pending.map(({ entry }) => entry),
+      snapshots: pending.map(({ snapshot }) => snapshot),
+      weights: pending[pending.length - 1].snapshot.weights
+    });
+    pending = [];
+    lastFlush = Date.now();
+  };
+
+  const add = (entry, snapshot) => {
+    pending.push({ entry, snapshot });
+    if (Date.now() - lastFlush >= PROGRESS_INTERVAL_MS) {
+      flush();
+    }
+  };
+
+  return { add, flush };
+};
+
+// Records the weights and the mean activation of every neuron over a fixed
+// probe sample, so the visualisation can replay how both evolved
+const createSnapshotter = (model, probeFeatures) => {
+  const probe = tf.tensor2d(probeFeatures.slice(0, SNAPSHOT_PROBE_ROWS));
+  const activationModel = tf.model({
+    inputs: model.input,
+    outputs: getDenseLayers(model).map(layer => layer.output)
+  });
+
+  const capture = async (epoch) => {
+    const means = tf.tidy(() => {
+      const outputs = activationModel.predict(probe);
+      return [probe, ...(Array.isArray(outputs) ? outputs : [outputs])].map(t => t.mean(0));
+    });
+    const activations = await Promise.all(means.map(async t => Array.from(await t.data())));
+    tf.dispose(means);
+    return { epoch, weights: await extractDenseWeights(model), activations };
+  };
+
+  return { capture, dispose: () => probe.dispose() };
+};
+
+// One number per row for single-output models, a row of class
+// probabilities for softmax ones
+const predictEncoded = async (model, features) => {
+  const predictions = tf.tidy(() => model.predict(tf.tensor2d(features)));
+  const values = await predictions.array();
+  predictions.dispose();
+  return predictions.shape[1] === 1 ? values.map(row => row[0]) : values;
+};
+
+// Predictions for one encoded part, kept so the evaluation dashboard can
+// re-score them at any threshold
+const predictPart = async (model, part, task) => {
+  if (part.features.length === 0) return null;
+  const predictions = await predictEncoded(model, part.features);
+  return task === 'regression'
+    ? { predictions, labels: part.labels }
+    : { probabilities: predictions, labels: part.labels };
+};
+
+const LOSSES_BY_TASK = {
+  multiclass: 'categoricalCrossentropy',
+  regression: 'meanSquaredError'
+};
+
+const labelTensor = (labels, task, classCount) => (task === 'multiclass'
+  ? tf.tidy(() => tf.oneHot(tf.tensor1d(labels, 'int32'), classCount).toFloat())
+  : tf.tensor2d(labels, [labels.length, 1]));
+
+// Regression targets are standardised on the training rows, so the loss and
+// the learning rate do not depend on the target's units
+const fitTargetScaling = (task, labels) => {
+  if (task !== 'regression' || labels.length === 0) return null;
+  const mean = labels.reduce((sum, label) => sum + label, 0) / labels.length;
+  const std = Math.sqrt(labels.reduce((sum, label) => sum + (label - mean) ** 2, 0) / labels.length);
+  return { mean, std: std || 1 };
+};
+
+const scaleLabels = (labels, scaling) =>
+  (scaling ? labels.map(label => (label - scaling.mean) / scaling.std) : labels);
+
+// Folds the target scaling into the linear output layer, so the finished
+// model predicts in the target's own units wherever it is used or exported.
+// `invert` takes it back out before the model trains again.
+const foldTargetScaling = (model, scaling, invert = false) => {
+  if (!scaling) return;
+  const output = getDenseLayers(model).at(-1);
+  const [kernel, bias] = output.getWeights();
+  const weights = tf.tidy(() => (invert
+    ? [kernel.div(scaling.std), bias.sub(scaling.mean).div(scaling.std)]
+    : [kernel.mul(scaling.std), bias.mul(scaling.std).add(scaling.mean)]));
+  output.setWeights(weights);
+  tf.dispose(weights);
+};
+
+// Fits one model on an encoded split, streaming progress to the main thread.
+// Without a phase (search trials) it fits silently: no weights, snapshots or
+// epoch logs are posted.
+const fitSplit = async (split, job, phase, prepared) => {
+  const { architecture, trainingConfig } = job;
+  const { task, classes } = prepared;
+  const model = buildModel(
+    split.train.features[0].length,
+    architecture,
+    trainingConfig.seed,
+    outputLayerFor(task, classes.length)
+  );
+  activeModel = model;
+
+  const snapshotter = phase && createSnapshotter(
+    model,
+    split.val.features.length > 0 ? split.val.features : split.train.features
+  );
+  if (phase) {
+    const initialSnapshot = await snapshotter.capture(-1);
+    post(FROM_WORKER.PHASE, {
+      ...phase,
+      artifacts: await serializeModel(model),
+      weights: initialSnapshot.weights,
+      snapshot: initialSnapshot
+    });
+  }
+
+  model.compile({
+    optimizer: createOptimizer(trainingConfig),
+    loss: LOSSES_BY_TASK[task] ?? createLoss(trainingConfig),
+    metrics: task === 'regression' ? ['mae'] : ['accuracy']
+  });
+
+  // Resampling only ever touches the training rows, and only binary targets
+  // have a minority class to rebalance
+  const imbalance = task === 'binary' ? trainingConfig.imbalance : 'none';
+  const train = resampleTraining(split.train, imbalance, createRng(trainingConfig.seed));
+  const targetScaling = fitTargetScaling(task, train.labels);
+  const xs = tf.tensor2d(train.features);
+  const ys = labelTensor(scaleLabels(train.labels, targetScaling), task, classes.length);
+  const validationData = split.val.features.length > 0
+    ? [tf.tensor2d(split.val.features), labelTensor(scaleLabels(split.val.labels, targetScaling), task, classes.length)]
+    : undefined;
+
+  const batchesPerEpoch = Math.ceil(train.features.length / trainingConfig.batchSize);
+  const progress = createProgressReporter();
+  const control = createFitControl();
+  let currentEpoch = 0;
+  let lastBatchPost = 0;
+
+  const callbacks = [
+    new tf.CustomCallback({
+      onEpochBegin: async (epoch) => {
+        currentEpoch = epoch;
+      },
+      onBatchEnd: async (batch) => {
+        if (phase && Date.now() - lastBatchPost >= PROGRESS_INTERVAL_MS) {
+          post(FROM_WORKER.BATCH, { epoch: currentEpoch, batch: batch + 1, batchesPerEpoch });
+          lastBatchPost = Date.now();
+        }
+        await control(model);
+      },
+      onEpochEnd: async (epoch, logs) => {
+        if (!phase) return;
+        progress.add({
+          epoch,
+          loss: logs.loss,
+          accuracy: logs.acc,
+          valLoss: logs.val_loss,
+          valAccuracy: logs.val_acc
+        }, await snapshotter.capture(epoch));
+      }
+    })
+  ];
+  if (trainingConfig.patience > 0 && validationData) {
+    // tfjs only accepts a callback array that starts with a BaseCallback
+    callbacks.unshift(tf.callbacks.earlyStopping({
+      monitor: 'val_loss',
+      patience: trainingConfig.patience
+    }));
+  }
+
+  const history = await model.fit(xs, ys, {
+    epochs: trainingConfig.epochs,
+    batchSize: trainingConfig.batchSize,
+    validationData,
+    classWeight: imbalance === 'classWeights' ? computeClassWeights(train.labels) : undefined,
+    callbacks
+  });
+  progress.flush();
+  snapshotter?.dispose();
+  tf.dispose([xs, ys, ...(validationData || [])]);
+  foldTargetScaling(model, targetScaling);
+
+  // Get the final validation loss from the history object; regression losses
+  // stay in standardised units
+  const valLosses = history.history.val_loss || [];
+  const validationLoss = valLosses[valLosses.length - 1];
+  const validation = await predictPart(model, split.val, task);
+
+  return {
+    model,
+    targetScaling,
+    trainingRows: train.labels.length,
+    history: history.history.loss.map((loss, epoch) => ({
+      epoch,
+      loss,
+      accuracy: history.history.acc?.[epoch],
+      valLoss: history.history.val_loss?.[epoch],
+      valAccuracy: history.history.val_acc?.[epoch]
+    })),
+    // Early stopping on the validation loss; a stop from the UI is reported
+    // separately
+    stoppedEarly: !stopRequested && history.epoch.length < trainingConfig.epochs,
+    validation,
+    validationLoss,
+    metrics: {
+      ...(validation && computeTaskMetrics(validation, task)),
+      validationLoss
+    }
+  };
+};
+
+const runTrainingJob = async (job) => {
+  await setupBackend();
+  const prepared = prepareDataset(job.data, job.selection);
+  const { task } = prepared;
+  const strata = task === 'regression' ? quantileStrata(prepared.labels) : prepared.labels;
+  const indices = stratifiedSplit(strata, job.splitConfig, job.trainingConfig.seed);
+  const schemaFor = (split) => ({
+    task,
+    classes: prepared.classes,
+    target: prepared.target,
+    positiveClass: prepared.positiveClass,
+    negativeClass: prepared.negativeClass,
+    columns: prepared.columns,
+    preprocessor: split.preprocessor
+  });
+
+  let split;
+  let result;
+  if (job.splitConfig.mode === 'kfold') {
+    // The test part stays held out; the folds rotate over train + validation
+    const folds = stratifiedKFold(
+      strata,
+      [...indices.train, ...indices.val],
+      job.splitConfig.folds,
+      job.trainingConfig.seed
+    );
+    const foldMetrics = [];
+
+    for (let i = 0; i < folds.length && !stopRequested; i++) {
+      if (result) result.model.dispose();
+      split = buildSplit(prepared, { ...folds[i], test: indices.test }, job.preprocessingConfig);
+      result = await fitSplit(split, job, { fold: i + 1, totalFolds: folds.length, schema: schemaFor(split) }, prepared);
+      foldMetrics.push(result.metrics);
+      post(FROM_WORKER.FOLD, {
+        currentFold: i + 1,
+        totalFolds: folds.length,
+        foldMetrics,
+        summary: summarizeFolds(foldMetrics)
+      });
+    }
+  } else {
+    split = buildSplit(prepared, indices, job.preprocessingConfig);
+    result = await fitSplit(split, job, { fold: 1, totalFolds: 1, schema: schemaFor(split) }, prepared);
+  }
+
+  // Importance and dependence are scored on the binary probability
+  const global = task === 'binary'
+    ? await computeGlobalInsights(
+      (features) => predictEncoded(result.model, features),
+      split.preprocessor,
+      prepared.columns,
+      split.val.rows,
+      split.val.labels
+    )
+    : null;
+
+  post(FROM_WORKER.DONE, {
+    artifacts: await serializeModel(result.model),
+    // Fine-tuning takes the target scaling back out to train in the same units
+    schema: { ...schemaFor(split), targetScaling: result.targetScaling },
+    evaluation: {
+      validation: result.validation,
+      test: await predictPart(result.model, split.test, task),
+      validationLoss: result.validationLoss,
+      global
+    },
+    history: result.history,
+    manifest: await createRunManifest({ job, prepared, split, trainingRows: result.trainingRows }),
+    // Raw rows of the final split, for inspecting neurons and fine-tuning
+    samples: { train: split.train.rows, validation: split.val.rows, test: split.test.rows },
+    // Baselines reuse the final split so every model sees the same rows
+    baselines: job.trainingConfig.compareBaselines && task === 'binary' ? await trainBaselines(split, job.trainingConfig, createFitControl()) : [],
+    stopped: stopRequested,
+    stoppedEarly: result.stoppedEarly
+  });
+  result.model.dispose();
+  activeModel = null;
+};
+
+// Fits every trial on the same holdout split (the train and validation parts
+// of the configured split, even in k-fold mode) and reports each result.
+// Trials share the seed so they differ only in their hyperparameters.
+const runSearchJob = async (job, trials) => {
+  await setupBackend();
+  const prepared = prepareDataset(job.data, job.selection);
+  const { task } = prepared;
+  const strata = task === 'regression' ? quantileStrata(prepared.labels) : prepared.labels;
+  const indices = stratifiedSplit(strata, job.splitConfig, job.trainingConfig.seed);
+  const split = buildSplit(prepared, indices, job.preprocessingConfig);
+  if (split.val.features.length === 0) {
+    throw new Error('Hyperparameter search needs a validation part; raise the validation ratio.');
+  }
+
+  for (let i = 0; i < trials.length && !stopRequested; i++) {
+    const trial = trials[i];
+    // Every trial restarts the seeded generator, as a standalone run would
+    const result = await withSeededRandom(trial.trainingConfig.seed, () =>
+      fitSplit(split, { ...job, architecture: trial.architecture, trainingConfig: trial.trainingConfig }, null, prepared)
+    );
+    result.model.dispose();
+    activeModel = null;
+    post(FROM_WORKER.TRIAL, {
+      trial,
+      totalTrials: trials.length,
+      result: {
+        ...summarizeTaskPredictions(result.validation, task),
+        validationLoss: result.validationLoss,
+        epochs: result.history.length,
+        stoppedEarly: result.stoppedEarly
+      }
+    });
+  }
+  post(FROM_WORKER.SEARCH_DONE, { stopped: stopRequested });
+};
+
+// Fits one model per seed on the same holdout split as a search, so members
+// differ only in their initial weights, batch order and dropout masks
+const runEnsembleJob = async (job, seeds) => {
+  await setupBackend();
+  const prepared = prepareDataset(job.data, job.selection);
+  const strata = prepared.task === 'regression' ? quantileStrata(prepared.labels) : prepared.labels;
+  const indices = stratifiedSplit(strata, job.splitConfig, job.trainingConfig.seed);
+  const split = buildSplit(prepared, indices, job.preprocessingConfig);
+
+  for (let i = 0; i < seeds.length && !stopRequested; i++) {
+    const trainingConfig = { ...job.trainingConfig, seed: seeds[i] };
+    const result = await withSeededRandom(seeds[i], () =>
+      fitSplit(split, { ...job, trainingConfig }, null, prepared)
+    );
+    post(FROM_WORKER.MEMBER, {
+      index: i,
+      totalMembers: seeds.length,
+      artifacts: await serializeModel(result.model),
+      preprocessor: split.preprocessor
+    });
+    result.model.dispose();
+    activeModel = null;
+  }
+  post(FROM_WORKER.ENSEMBLE_DONE, { stopped: stopRequested });
+};
+
+// Raw rows encoded with a trained model's preprocessor; rows without a
+// usable label are left out
+const encodeLabelled = (schema, rows) => {
+  const labelled = rows.filter(row => readLabel(schema, row) !== null);
+  return {
+    rows: labelled,
+    features: transformRows(schema.preprocessor, labelled),
+    labels: labelled.map(row => readLabel(schema, row))
+  };
+};
+
+const evaluateLoss = async (model, part, task, classCount, scaling = null) => {
+  if (part.features.length === 0) return undefined;
+  const xs = tf.tensor2d(part.features);
+  const ys = labelTensor(scaleLabels(part.labels, scaling), task, classCount);
+  const [loss, ...others] = model.evaluate(xs, ys);
+  const [value] = await loss.data();
+  tf.dispose([xs, ys, loss, ...others]);
+  return value;
+};
+
+// Continues training a finished model on labelled examples, optionally mixed
+// with replayed training rows, and scores the validation and test rows of its
+// run before and after. The preprocessor stays as fitted, so the examples are
+// encoded exactly like the original data.
+const runFineTuneJob = async ({ artifacts, schema, examples, samples, trainingConfig, fineTuneConfig }) => {
+  await setupBackend();
+  const task = schema.task ?? 'binary';
+  const classCount = schema.classes?.length ?? 2;
+  // Models saved before regression targets were standardised have none
+  const scaling = schema.targetScaling ?? null;
+  const model = await deserializeModel(artifacts);
+  activeModel = model;
+  // Released even when fitting or scoring fails, so the model does not leak
+  // and a later stop never reaches a disposed model
+  try {
+    model.compile({
+      optimizer: createOptimizer({ optimizer: trainingConfig.optimizer, learningRate: fineTuneConfig.learningRate }),
+      loss: LOSSES_BY_TASK[task] ?? createLoss(trainingConfig),
+      metrics: task === 'regression' ? ['mae'] : ['accuracy']
+    });
+
+    const validation = encodeLabelled(schema, samples.validation);
+    const test = encodeLabelled(schema, samples.test || []);
+    const before = {
+      validation: await predictPart(model, validation, task),
+      test: await predictPart(model, test, task)
+    };
+    // Losses and training use the standardised target, like the original run
+    foldTargetScaling(model, scaling, true);
+    before.validationLoss = await evaluateLoss(model, validation, task, classCount, scaling);
+
+    const replay = selectReplayRows(samples.train, fineTuneConfig.replayRows, trainingConfig.seed);
+    const train = encodeLabelled(schema, [...examples, ...replay]);
+    const xs = tf.tensor2d(train.features);
+    const ys = labelTensor(scaleLabels(train.labels, scaling), task, classCount);
+    let history;
+    try {
+      history = await model.fit(xs, ys, {
+        epochs: fineTuneConfig.epochs,
+        batchSize: fineTuneConfig.batchSize
+      });
+    } finally {
+      tf.dispose([xs, ys]);
+    }
+    const validationLoss = await evaluateLoss(model, validation, task, classCount, scaling);
+    foldTargetScaling(model, scaling);
+
+    const global = task === 'binary' && validation.rows.length > 0
+      ? await computeGlobalInsights(
+        (features) => predictEncoded(model, features),
+        schema.preprocessor,
+        schema.columns,
+        validation.rows,
+        validation.labels
+      )
+      : null;
+
+    post(FROM_WORKER.FINE_TUNED, {
+      artifacts: await serializeModel(model),
+      before,
+      evaluation: {
+        validation: await predictPart(model, validation, task),
+        test: await predictPart(model, test, task),
+        validationLoss,
+        global
+      },
+      history: history.history.loss.map((loss, epoch) => ({ epoch, loss })),
+      trainingRows: train.labels.length
+    });
+  } finally {
+    // A model only disposes optimizers it created itself
+    model.optimizer?.dispose();
+    model.dispose();
+    activeModel = null;
+  }
+};
+
+// tfjs draws the per-epoch batch order and the dropout masks from
+// Math.random, so it is replaced by a seeded generator while a job runs. A
+// fixed dropout seed would reuse the same mask for every batch instead.
+const withSeededRandom = async (seed, run) => {
+  const original = Math.random;
+  Math.random = createRng(seed);
+  try {
+    return await run();
+  } finally {
+    Math.random = original;
+  }
+};
+
+const resume = () => {
+  if (pauseGate) {
+    pauseGate.resolve();
+    pauseGate = null;
+  }
+};
+
+self.onmessage = async ({ data: message }) => {
+  switch (message.type) {
+    case TO_WORKER.TRAIN:
+      pauseGate = null;
+      stopRequested = false;
+      try {
+        await withSeededRandom(message.job.trainingConfig.seed, () => runTrainingJob(message.job));
+      } catch (err) {
+        post(FROM_WORKER.ERROR, { message: err.message });
+      }
+      break;
+    case TO_WORKER.SEARCH:
+      pauseGate = null;
+      stopRequested = false;
+      try {
+        await runSearchJob(message.job, message.trials);
+      } catch (err) {
+        post(FROM_WORKER.ERROR, { message: err.message });
+      }
+      break;
+    case TO_WORKER.ENSEMBLE:
+      pauseGate = null;
+      stopRequested = false;
+      try {
+        await runEnsembleJob(message.job, message.seeds);
+      } catch (err) {
+        post(FROM_WORKER.ERROR, { message: err.message });
+      }
+      break;
+    case TO_WORKER.FINE_TUNE:
+      try {
+        await withSeededRandom(message.job.trainingConfig.seed, () => runFineTuneJob(message.job));
+      } catch (err) {
+        post(FROM_WORKER.ERROR, { message: err.message });
+      }
+      break;
+    case TO_WORKER.PAUSE:
+      if (!pauseGate) {
+        let resolve;
+        const promise = new Promise(r => { resolve = r; });
+        pauseGate = { promise, resolve };
+      }
+      break;
+    case TO_WORKER.RESUME:
+      resume();
+      break;
+    case TO_WORKER.STOP:
+      // fit() checks stopTraining after every batch, so the model keeps the
+      // weights it has learned so far and is evaluated as usual
+      stopRequested = true;
+      if (activeModel) activeModel.stopTraining = true;
+      resume();
+      break;
+    default:
+      post(FROM_WORKER.ERROR, { message: `Unknown message type: ${message.type}` });
+  }
+};
+
+setupBackend().then(() => post(FROM_WORKER.READY, { backend: tf.getBackend() }));